@@ -7,7 +7,14 @@ const BEAM_LENGTH = 1.0; // 1 meter (100cm)
 const BEAM_WIDTH = 0.08;
 const BEAM_HEIGHT = 0.02;
 const PIVOT_HEIGHT = 0.3;
-const MAX_TILT_ANGLE = Math.PI / 6; // 30 degrees max tilt
+const BEAM_MASS = 0.12; // kg, a wooden metre rule
+const HANG_LENGTH = 0.08; // from the underside of the beam to the centre of a mass
+const PIVOT_FRICTION = 0.15; // coefficient of friction on the pivot pin
+const PIVOT_PIN_RADIUS = 0.001; // m
+const AIR_DAMPING = 0.015; // N·m·s
+const TABLE_RESTITUTION = 0.3; // the beam bounces a little when it hits the table
+const REST_SPEED = 0.01; // rad/s
+const PHYSICS_STEP = 1 / 240; // s
 
 // ============ State ============
 let state = {
@@ -15,8 +22,8 @@ let state = {
   dist1: 30,  // cm from pivot
   mass2: 300, // grams
   dist2: 20,  // cm from pivot
-  currentAngle: 0,
-  targetAngle: 0
+  angle: 0, // rad, positive when the left end dips
+  angularVelocity: 0 // rad/s
 };
 
 // ============ Three.js Scene Setup ============
@@ -304,14 +311,13 @@ beamGroup.add(dist2Indicator.group);
 
 // ============ Update Functions ============
 
+function massScale(mass) {
+  return 0.5 + (mass / 500) * 0.8;
+}
+
 function updateMassPositions() {
-  const d1 = state.dist1 / 100; // Convert cm to m
-  const d2 = state.dist2 / 100;
-  
-  // Mass 1 on left side (negative x)
-  const mass1X = -d1;
-  mass1Group.position.set(mass1X, -BEAM_HEIGHT / 2 - 0.08, 0);
-  
+  hangMasses();
+
   // Update string 1
   const string1Points = [
     new THREE.Vector3(0, mass1Size / 2 + 0.02, 0),
@@ -319,10 +325,6 @@ function updateMassPositions() {
   ];
   string1Line.geometry.setFromPoints(string1Points);
   
-  // Mass 2 on right side (positive x)
-  const mass2X = d2;
-  mass2Group.position.set(mass2X, -BEAM_HEIGHT / 2 - 0.08, 0);
-  
   // Update string 2
   const string2Points = [
     new THREE.Vector3(0, mass2Size / 2 + 0.02, 0),
@@ -331,10 +333,10 @@ function updateMassPositions() {
   string2Line.geometry.setFromPoints(string2Points);
   
   // Update mass sizes based on mass value
-  const scale1 = 0.5 + (state.mass1 / 500) * 0.8;
+  const scale1 = massScale(state.mass1);
   mass1Mesh.scale.set(scale1, scale1, scale1);
   
-  const scale2 = 0.5 + (state.mass2 / 500) * 0.8;
+  const scale2 = massScale(state.mass2);
   mass2Mesh.scale.set(scale2, scale2, scale2);
   
   // Update distance indicators
@@ -390,29 +392,101 @@ function calculateMoments() {
   return { moment1, moment2, F1, F2 };
 }
 
-function calculateTiltAngle() {
-  const { moment1, moment2 } = calculateMoments();
-  const netMoment = moment2 - moment1; // Positive = clockwise, Negative = anticlockwise
-  
-  // Calculate angle based on net moment (with damping)
-  // More net moment = more tilt
-  const momentMagnitude = Math.abs(netMoment);
-  const maxMoment = 0.5; // Approximate max moment
-  
-  let angle = (netMoment / maxMoment) * MAX_TILT_ANGLE;
-  angle = Math.max(-MAX_TILT_ANGLE, Math.min(MAX_TILT_ANGLE, angle));
-  
-  return angle;
+// Masses hang plumb below their strings whatever the tilt of the beam:
+// mass 1 on the left (negative x), mass 2 on the right
+function hangMasses() {
+  const sin = Math.sin(state.angle);
+  const cos = Math.cos(state.angle);
+  [[mass1Group, -state.dist1 / 100], [mass2Group, state.dist2 / 100]].forEach(([group, x]) => {
+    group.position.set(x - HANG_LENGTH * sin, -BEAM_HEIGHT / 2 - HANG_LENGTH * cos, 0);
+    group.rotation.z = -state.angle;
+  });
+}
+
+// The masses hang from the underside of the beam, which is treated as
+// swinging on a pin through its centre
+function momentOfInertia() {
+  const m1 = state.mass1 / 1000;
+  const m2 = state.mass2 / 1000;
+  const d1 = state.dist1 / 100;
+  const d2 = state.dist2 / 100;
+  const h = BEAM_HEIGHT / 2;
+  const beam = (BEAM_MASS * (BEAM_LENGTH * BEAM_LENGTH + BEAM_HEIGHT * BEAM_HEIGHT)) / 12;
+  return beam + m1 * (d1 * d1 + h * h) + m2 * (d2 * d2 + h * h);
+}
+
+// Each weight acts straight down from its hanging point, so its moment arm
+// shrinks as the beam tilts; the points sit just below the pin, which gives
+// a small restoring moment too
+function gravityTorque(angle) {
+  const m1 = state.mass1 / 1000;
+  const m2 = state.mass2 / 1000;
+  const d1 = state.dist1 / 100;
+  const d2 = state.dist2 / 100;
+  const h = BEAM_HEIGHT / 2;
+  return GRAVITY * ((m1 * d1 - m2 * d2) * Math.cos(angle) - (m1 + m2) * h * Math.sin(angle));
+}
+
+// Tilt at which a point x along the beam, hanging `drop` below its underside,
+// reaches the table
+function tableContactAngle(x, drop) {
+  const h = BEAM_HEIGHT / 2;
+  const reach = Math.hypot(x, h);
+  return Math.asin(Math.min(1, (PIVOT_HEIGHT - drop) / reach)) - Math.atan2(h, x);
+}
+
+// The beam comes to rest on the table when its end, or the mass hanging on
+// the side going down, touches it
+function tableStopAngle(side) {
+  const mass = side > 0 ? state.mass1 : state.mass2;
+  const dist = (side > 0 ? state.dist1 : state.dist2) / 100;
+  const halfSize = (mass1Size / 2) * massScale(mass);
+  return Math.min(tableContactAngle(BEAM_LENGTH / 2, 0), tableContactAngle(dist, HANG_LENGTH + halfSize));
+}
+
+function stepBeam(dt) {
+  const inertia = momentOfInertia();
+  const torque = gravityTorque(state.angle);
+  const normalForce = (BEAM_MASS + (state.mass1 + state.mass2) / 1000) * GRAVITY;
+  const friction = PIVOT_FRICTION * normalForce * PIVOT_PIN_RADIUS;
+
+  // Static friction at the pin holds the beam until the moments overcome it
+  if (Math.abs(state.angularVelocity) < REST_SPEED && Math.abs(torque) <= friction) {
+    state.angularVelocity = 0;
+    return;
+  }
+
+  const direction = state.angularVelocity !== 0 ? Math.sign(state.angularVelocity) : Math.sign(torque);
+  const net = torque - direction * friction - AIR_DAMPING * state.angularVelocity;
+  state.angularVelocity += (net / inertia) * dt;
+  state.angle += state.angularVelocity * dt;
+
+  [1, -1].forEach(side => {
+    const stop = tableStopAngle(side);
+    if (state.angle * side <= stop) return;
+    state.angle = stop * side;
+    if (state.angularVelocity * side > 0) {
+      state.angularVelocity *= -TABLE_RESTITUTION;
+      if (Math.abs(state.angularVelocity) < REST_SPEED * 10) state.angularVelocity = 0;
+    }
+  });
 }
 
+let lastBeamStep = performance.now();
+
 function updateBeamRotation() {
-  state.targetAngle = calculateTiltAngle();
-  
-  // Smooth interpolation
-  const diff = state.targetAngle - state.currentAngle;
-  state.currentAngle += diff * 0.1;
-  
-  beamGroup.rotation.z = state.currentAngle;
+  const now = performance.now();
+  // A long pause (e.g. a hidden tab) is not caught up in one go
+  let elapsed = Math.min((now - lastBeamStep) / 1000, 0.1);
+  lastBeamStep = now;
+  while (elapsed > 0) {
+    const dt = Math.min(PHYSICS_STEP, elapsed);
+    stepBeam(dt);
+    elapsed -= dt;
+  }
+
+  beamGroup.rotation.z = state.angle;
+  hangMasses();
 }
 
 function updateUI() {
@@ -57,28 +57,60 @@ const gridHelper = new THREE.GridHelper(8, 20, 0xd1d8e5, 0xe2e8f0);
 gridHelper.position.y = 0.01;
 scene.add(gridHelper);
 
-// ---------- Bar Magnet ----------
-const magnetGroup = new THREE.Group();
-scene.add(magnetGroup);
+// ---------- Magnets ----------
+const magnets = []; // { type, group }
+let selectedMagnet = null;
 
-function createBarMagnet() {
+const MAGNET_LIMIT = 3;
+const POLE_SOFTENING = 0.0025;
+
+// Bar magnet cross-section and default pole strength
+const BAR_WIDTH = 0.4;
+const BAR_HEIGHT = 0.4;
+const BAR_POLE_STRENGTH = 0.8;
+
+function createPoleMaterial(color) {
+  return new THREE.MeshStandardMaterial({ 
+    color, 
+    metalness: 0.4, 
+    roughness: 0.3 
+  });
+}
+
+function createPoleLabel(text, x, y, z) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 72px Arial, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 128, 64);
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.needsUpdate = true;
+  const label = new THREE.Mesh(
+    new THREE.PlaneGeometry(0.35, 0.18),
+    new THREE.MeshBasicMaterial({ map: tex, transparent: true })
+  );
+  label.position.set(x, y, z);
+  label.lookAt(x, 10, z); // Face upward
+  return label;
+}
+
+function createBarMagnet(magnet) {
   const group = new THREE.Group();
 
   // Magnet dimensions
-  const width = 0.4;
-  const height = 0.4;
-  const poleLength = 0.7;
+  const width = BAR_WIDTH;
+  const height = BAR_HEIGHT;
   const middleLength = 0.2;
-  const totalLength = poleLength * 2 + middleLength;
+  const totalLength = magnet.length;
+  const poleLength = (totalLength - middleLength) / 2;
 
   // North pole (red) - positioned at positive Z
   const northGeo = new THREE.BoxGeometry(width, height, poleLength);
-  const northMat = new THREE.MeshStandardMaterial({ 
-    color: 0xdc2626, 
-    metalness: 0.4, 
-    roughness: 0.3 
-  });
-  const north = new THREE.Mesh(northGeo, northMat);
+  const north = new THREE.Mesh(northGeo, createPoleMaterial(0xdc2626));
   north.position.z = (poleLength + middleLength) / 2;
   north.castShadow = true;
   north.receiveShadow = true;
@@ -86,12 +118,7 @@ function createBarMagnet() {
 
   // South pole (blue) - positioned at negative Z
   const southGeo = new THREE.BoxGeometry(width, height, poleLength);
-  const southMat = new THREE.MeshStandardMaterial({ 
-    color: 0x2563eb, 
-    metalness: 0.4, 
-    roughness: 0.3 
-  });
-  const south = new THREE.Mesh(southGeo, southMat);
+  const south = new THREE.Mesh(southGeo, createPoleMaterial(0x2563eb));
   south.position.z = -(poleLength + middleLength) / 2;
   south.castShadow = true;
   south.receiveShadow = true;
@@ -109,347 +136,3061 @@ function createBarMagnet() {
   middle.receiveShadow = true;
   group.add(middle);
 
-  // Create N label (North pole - red end)
-  const canvasN = document.createElement('canvas');
-  canvasN.width = 256;
-  canvasN.height = 128;
-  const ctxN = canvasN.getContext('2d');
-  ctxN.fillStyle = '#ffffff';
-  ctxN.font = 'bold 72px Arial, sans-serif';
-  ctxN.textAlign = 'center';
-  ctxN.textBaseline = 'middle';
-  ctxN.fillText('N', 128, 64);
-  const texN = new THREE.CanvasTexture(canvasN);
-  texN.needsUpdate = true;
-  const labelN = new THREE.Mesh(
-    new THREE.PlaneGeometry(0.35, 0.18),
-    new THREE.MeshBasicMaterial({ map: texN, transparent: true })
-  );
-  labelN.position.set(0, height * 0.6, totalLength / 2 + 0.15);
-  labelN.lookAt(0, 10, totalLength / 2 + 0.15); // Face upward
-  group.add(labelN);
-
-  // Create S label (South pole - blue end)
-  const canvasS = document.createElement('canvas');
-  canvasS.width = 256;
-  canvasS.height = 128;
-  const ctxS = canvasS.getContext('2d');
-  ctxS.fillStyle = '#ffffff';
-  ctxS.font = 'bold 72px Arial, sans-serif';
-  ctxS.textAlign = 'center';
-  ctxS.textBaseline = 'middle';
-  ctxS.fillText('S', 128, 64);
-  const texS = new THREE.CanvasTexture(canvasS);
-  texS.needsUpdate = true;
-  const labelS = new THREE.Mesh(
-    new THREE.PlaneGeometry(0.35, 0.18),
-    new THREE.MeshBasicMaterial({ map: texS, transparent: true })
-  );
-  labelS.position.set(0, height * 0.6, -totalLength / 2 - 0.15);
-  labelS.lookAt(0, 10, -totalLength / 2 - 0.15); // Face upward
-  group.add(labelS);
+  group.add(createPoleLabel('N', 0, height * 0.6, totalLength / 2 + 0.15));
+  group.add(createPoleLabel('S', 0, height * 0.6, -totalLength / 2 - 0.15));
 
   return group;
 }
 
-const barMagnet = createBarMagnet();
-barMagnet.position.y = 0.15;
-magnetGroup.add(barMagnet);
+// Horseshoe: bend at -Z, both arms pointing to +Z with N on the +X arm
+const HORSESHOE = { halfGap: 0.3, tube: 0.12, bendZ: -0.15, tipStart: 0.3, tipEnd: 0.55 };
 
-// ---------- Magnetic Field Visualization ----------
-let ironFilings = [];
-let compassNeedles = [];
-let fieldLines = [];
+function createHorseshoeMagnet() {
+  const group = new THREE.Group();
+  const { halfGap, tube, bendZ, tipStart, tipEnd } = HORSESHOE;
+  const bodyMat = new THREE.MeshStandardMaterial({ 
+    color: 0x1e293b, 
+    metalness: 0.6, 
+    roughness: 0.2 
+  });
 
-function clearFieldVisualization() {
-  ironFilings.forEach(f => scene.remove(f));
-  compassNeedles.forEach(c => scene.remove(c));
-  fieldLines.forEach(l => scene.remove(l));
-  ironFilings = [];
-  compassNeedles = [];
-  fieldLines = [];
+  const bend = new THREE.Mesh(new THREE.TorusGeometry(halfGap, tube, 12, 24, Math.PI), bodyMat);
+  bend.rotation.x = -Math.PI / 2;
+  bend.position.z = bendZ;
+  group.add(bend);
+
+  [halfGap, -halfGap].forEach((x, i) => {
+    const armLength = tipStart - bendZ;
+    const arm = new THREE.Mesh(new THREE.CylinderGeometry(tube, tube, armLength, 16), bodyMat);
+    arm.rotation.x = Math.PI / 2;
+    arm.position.set(x, 0, bendZ + armLength / 2);
+    group.add(arm);
+
+    const tipLength = tipEnd - tipStart;
+    const tip = new THREE.Mesh(
+      new THREE.CylinderGeometry(tube, tube, tipLength, 16),
+      createPoleMaterial(i === 0 ? 0xdc2626 : 0x2563eb)
+    );
+    tip.rotation.x = Math.PI / 2;
+    tip.position.set(x, 0, tipStart + tipLength / 2);
+    group.add(tip);
+
+    group.add(createPoleLabel(i === 0 ? 'N' : 'S', x, tube * 1.2, tipEnd + 0.15));
+  });
+
+  group.traverse(child => {
+    child.castShadow = child.isMesh;
+    child.receiveShadow = child.isMesh;
+  });
+  return group;
 }
 
-function calculateFieldAt(x, z) {
-  const magnetPos = magnetGroup.position;
-  const magnetRot = magnetGroup.rotation.y;
-  
-  // Calculate position relative to magnet
-  const dx = x - magnetPos.x;
-  const dz = z - magnetPos.z;
-  
-  // Rotate coordinates to account for magnet rotation
-  const cosRot = Math.cos(-magnetRot);
-  const sinRot = Math.sin(-magnetRot);
-  const dxRot = dx * cosRot - dz * sinRot;
-  const dzRot = dx * sinRot + dz * cosRot;
-  
-  const dist = Math.sqrt(dx * dx + dz * dz);
-  if (dist < 0.1) return { bx: 0, bz: 0, strength: 0 };
+// Ring magnetised across its diameter: N half at +Z, S half at -Z
+const RING = { radius: 0.4, tube: 0.1 };
 
-  // Fixed magnet strength
-  const magStrength = 0.5;
+function createRingMagnet() {
+  const group = new THREE.Group();
+  const { radius, tube } = RING;
+
+  [0xdc2626, 0x2563eb].forEach((color, i) => {
+    const half = new THREE.Mesh(new THREE.TorusGeometry(radius, tube, 12, 32, Math.PI), createPoleMaterial(color));
+    half.rotation.x = i === 0 ? Math.PI / 2 : -Math.PI / 2;
+    half.castShadow = true;
+    half.receiveShadow = true;
+    group.add(half);
+  });
 
-  // Simplified dipole field in rotated coordinate system
-  const r3 = dist * dist * dist;
-  const bxRot = ((3 * dxRot * dzRot) / r3) * magStrength;
-  const bzRot = ((2 * dzRot * dzRot - dxRot * dxRot) / r3) * magStrength;
-  
-  // Rotate field back to world coordinates
-  const bx = bxRot * cosRot - bzRot * sinRot;
-  const bz = bxRot * sinRot + bzRot * cosRot;
+  group.add(createPoleLabel('N', 0, tube * 1.2, radius + tube + 0.15));
+  group.add(createPoleLabel('S', 0, tube * 1.2, -radius - tube - 0.15));
 
-  return { bx, bz, strength: Math.sqrt(bx * bx + bz * bz) };
+  return group;
 }
 
-function createIronFiling(x, z) {
-  const field = calculateFieldAt(x, z);
-  if (field.strength < 0.01) return null;
+// Pole charges in the magnet's own frame; a positive charge is a north pole.
+// Heights y are measured from the magnet's centre, as are the field functions'
+// optional y arguments (left out, the field is found in the magnet's mid-plane).
+const HORSESHOE_POLES = [
+  { x: HORSESHOE.halfGap, y: 0, z: HORSESHOE.tipEnd - 0.05, q: 0.8 },
+  { x: -HORSESHOE.halfGap, y: 0, z: HORSESHOE.tipEnd - 0.05, q: -0.8 },
+];
+
+// Diametric magnetisation leaves a cos(φ) pole density on the outer rim
+// and the opposite density on the inner rim. The charges are set just inside
+// the ring and sampled densely, so no false neutral points appear beside it.
+const RING_POLES = [];
+const RING_POLE_COUNT = 64;
+for (let i = 0; i < RING_POLE_COUNT; i++) {
+  const phi = (i / RING_POLE_COUNT) * Math.PI * 2;
+  const q = 12.8 / RING_POLE_COUNT;
+  const outer = RING.radius + RING.tube / 2;
+  const inner = RING.radius - RING.tube / 2;
+  RING_POLES.push({ x: Math.sin(phi) * outer, y: 0, z: Math.cos(phi) * outer, q: q * outer * Math.cos(phi) });
+  RING_POLES.push({ x: Math.sin(phi) * inner, y: 0, z: Math.cos(phi) * inner, q: -q * inner * Math.cos(phi) });
+}
 
-  const angle = Math.atan2(field.bx, field.bz);
-  const length = Math.min(field.strength * 0.3, 0.15);
+function poleFieldAt(poles, x, z, y = 0) {
+  let bx = 0;
+  let by = 0;
+  let bz = 0;
+  poles.forEach(pole => {
+    const dx = x - pole.x;
+    const dy = y - pole.y;
+    const dz = z - pole.z;
+    const r2 = dx * dx + dy * dy + dz * dz + POLE_SOFTENING;
+    const k = pole.q / (r2 * Math.sqrt(r2));
+    bx += dx * k;
+    by += dy * k;
+    bz += dz * k;
+  });
+  return { bx, by, bz };
+}
 
-  const geo = new THREE.CylinderGeometry(0.01, 0.01, length, 8);
-  const mat = new THREE.MeshStandardMaterial({ color: 0x1e293b, metalness: 0.8 });
-  const filing = new THREE.Mesh(geo, mat);
-  filing.position.set(x, 0.02, z);
-  filing.rotation.x = Math.PI / 2;
-  filing.rotation.z = angle;
+// Exact field of a uniformly charged rectangle (half-size hw × hh, centred
+// on the origin in the plane z = 0) at the point (x, y, z)
+function faceFieldAt(x, y, z, hw, hh, sigma) {
+  if (Math.abs(z) < 1e-6) z = 1e-6;
+  let bx = 0;
+  let by = 0;
+  let bz = 0;
+  [[-hw, -1], [hw, 1]].forEach(([xi, si]) => {
+    [[-hh, -1], [hh, 1]].forEach(([yj, sj]) => {
+      const dx = x - xi;
+      const dy = y - yj;
+      const r = Math.sqrt(dx * dx + dy * dy + z * z);
+      const sign = si * sj;
+      bx += sign * Math.log(Math.max(r - dy, 1e-9));
+      by += sign * Math.log(Math.max(r - dx, 1e-9));
+      bz += sign * Math.atan((dx * dy) / (z * r));
+    });
+  });
+  return { bx: sigma * bx, by: sigma * by, bz: sigma * bz };
+}
 
-  return filing;
+// A uniformly magnetised bar is equivalent to a sheet of pole charge on each
+// end face. Outside the bar B is the field of those sheets; inside, B = H + 4πM
+// points from S to N, so field lines run through the magnet and close.
+function barFieldAt(x, z, magnet, y = 0) {
+  const sigma = BAR_POLE_STRENGTH / (BAR_WIDTH * BAR_HEIGHT);
+  const north = faceFieldAt(x, y, z - magnet.length / 2, BAR_WIDTH / 2, BAR_HEIGHT / 2, sigma);
+  const south = faceFieldAt(x, y, z + magnet.length / 2, BAR_WIDTH / 2, BAR_HEIGHT / 2, -sigma);
+  const field = { bx: north.bx + south.bx, by: north.by + south.by, bz: north.bz + south.bz };
+  if (MAGNET_TYPES.bar.contains(x, z, magnet, y)) field.bz += 4 * Math.PI * sigma;
+  return field;
 }
 
-function createCompassNeedle(x, z) {
-  const field = calculateFieldAt(x, z);
-  if (field.strength < 0.01) return null;
+// For forces, each end face is lumped into a row of point poles across it,
+// set just inside the bar so that touching faces never share a point
+const BAR_FORCE_POLES = 5;
+const BAR_FORCE_INSET = 0.02;
+
+function barPoles(magnet) {
+  const poles = [];
+  for (let i = 0; i < BAR_FORCE_POLES; i++) {
+    const x = ((i + 0.5) / BAR_FORCE_POLES - 0.5) * BAR_WIDTH;
+    const q = BAR_POLE_STRENGTH / BAR_FORCE_POLES;
+    const z = magnet.length / 2 - BAR_FORCE_INSET;
+    poles.push({ x, z, q }, { x, z: -z, q: -q });
+  }
+  return poles;
+}
+
+// ---------- Current-Carrying Sources ----------
+// A straight wire stands upright through the table; coils and solenoids stand
+// on edge with their axis along local +Z, so the table cuts through the
+// middle of the windings as in the card-and-iron-filings demonstration.
+const BIOT_SAVART_K = 0.5; // μ0/4π in scene units
+const WIRE = { radius: 0.04, halfHeight: 20 }; // long enough to act as infinite
+const COIL = { radius: 0.5, wire: 0.03 };
+const SOLENOID = { radius: 0.35, wire: 0.025 };
+const LOOP_SEGMENTS = 24;
+const SOLENOID_MAX_LOOPS = 12;
+const COPPER = 0xb87333;
+
+// Exact Biot–Savart field of a straight segment a → b carrying current I
+function segmentFieldAt(p, a, b, current) {
+  let ux = b.x - a.x;
+  let uy = b.y - a.y;
+  let uz = b.z - a.z;
+  const length = Math.sqrt(ux * ux + uy * uy + uz * uz);
+  ux /= length;
+  uy /= length;
+  uz /= length;
+
+  const wx = p.x - a.x;
+  const wy = p.y - a.y;
+  const wz = p.z - a.z;
+  const t = wx * ux + wy * uy + wz * uz;
+  const px = wx - t * ux;
+  const py = wy - t * uy;
+  const pz = wz - t * uz;
+  const d2 = px * px + py * py + pz * pz;
+  if (d2 < 1e-8) return { bx: 0, by: 0, bz: 0 };
+
+  const ra = Math.sqrt(wx * wx + wy * wy + wz * wz);
+  const rb = Math.sqrt((p.x - b.x) ** 2 + (p.y - b.y) ** 2 + (p.z - b.z) ** 2);
+  const k = (BIOT_SAVART_K * current * (t / ra - (t - length) / rb)) / d2;
+  return { bx: k * (uy * pz - uz * py), by: k * (uz * px - ux * pz), bz: k * (ux * py - uy * px) };
+}
+
+// Circular loop about the Z axis at z0, current anticlockwise seen from +Z
+function loopSegments(radius, z0) {
+  const segments = [];
+  for (let i = 0; i < LOOP_SEGMENTS; i++) {
+    const a = (i / LOOP_SEGMENTS) * Math.PI * 2;
+    const b = ((i + 1) / LOOP_SEGMENTS) * Math.PI * 2;
+    segments.push([
+      { x: Math.cos(a) * radius, y: Math.sin(a) * radius, z: z0 },
+      { x: Math.cos(b) * radius, y: Math.sin(b) * radius, z: z0 },
+    ]);
+  }
+  return segments;
+}
+
+// Wire segments and the current in each; a solenoid's turns are lumped
+// into at most SOLENOID_MAX_LOOPS loops carrying the same total current
+function createCurrentPath(magnet) {
+  const current = magnet.current * magnet.direction;
+  if (magnet.type === 'wire') {
+    return {
+      segments: [[{ x: 0, y: -WIRE.halfHeight, z: 0 }, { x: 0, y: WIRE.halfHeight, z: 0 }]],
+      current,
+    };
+  }
+  if (magnet.type === 'coil') {
+    return { segments: loopSegments(COIL.radius, 0), current: current * magnet.turns };
+  }
+
+  const loops = Math.min(magnet.turns, SOLENOID_MAX_LOOPS);
+  const segments = [];
+  for (let i = 0; i < loops; i++) {
+    const z0 = ((i + 0.5) / loops - 0.5) * magnet.length;
+    segments.push(...loopSegments(SOLENOID.radius, z0));
+  }
+  return { segments, current: (current * magnet.turns) / loops };
+}
+
+function currentFieldAt(x, z, magnet, y = 0) {
+  const p = { x, y, z };
+  let bx = 0;
+  let by = 0;
+  let bz = 0;
+  magnet.currentPath.segments.forEach(([a, b]) => {
+    const field = segmentFieldAt(p, a, b, magnet.currentPath.current);
+    bx += field.bx;
+    by += field.by;
+    bz += field.bz;
+  });
+  return { bx, by, bz };
+}
 
-  const angle = Math.atan2(field.bx, field.bz);
+function createCurrentArrow(direction, origin, length) {
+  return new THREE.ArrowHelper(direction, origin, length, 0xf59e0b, length * 0.35, length * 0.2);
+}
 
+function createWire(magnet) {
   const group = new THREE.Group();
+  const wire = new THREE.Mesh(
+    new THREE.CylinderGeometry(WIRE.radius, WIRE.radius, 1.4, 16),
+    new THREE.MeshStandardMaterial({ color: COPPER, metalness: 0.7, roughness: 0.3 })
+  );
+  wire.castShadow = true;
+  group.add(wire);
 
-  // Needle
-  const needleGeo = new THREE.BoxGeometry(0.15, 0.02, 0.02);
-  const northMat = new THREE.MeshStandardMaterial({ color: 0xdc2626 });
-  const southMat = new THREE.MeshStandardMaterial({ color: 0x2563eb });
+  // Conventional current: up out of the table or down into it
+  const up = magnet.direction > 0;
+  group.add(createCurrentArrow(new THREE.Vector3(0, up ? 1 : -1, 0), new THREE.Vector3(0.12, up ? 0.2 : 0.6, 0), 0.4));
+  return group;
+}
 
-  const north = new THREE.Mesh(needleGeo, northMat);
-  north.position.x = 0.075;
+function createCoil(magnet) {
+  const group = new THREE.Group();
+  const thickness = COIL.wire * Math.min(1 + magnet.turns * 0.1, 3);
+  const coil = new THREE.Mesh(
+    new THREE.TorusGeometry(COIL.radius, thickness, 12, 48),
+    new THREE.MeshStandardMaterial({ color: COPPER, metalness: 0.7, roughness: 0.3 })
+  );
+  coil.castShadow = true;
+  group.add(coil);
+  addCurrentMarkers(group, magnet, COIL.radius + thickness, 0.35);
+  return group;
+}
+
+function createSolenoid(magnet) {
+  const group = new THREE.Group();
+  const points = [];
+  const steps = magnet.turns * 24;
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const angle = t * magnet.turns * Math.PI * 2;
+    points.push(new THREE.Vector3(
+      Math.cos(angle) * SOLENOID.radius,
+      Math.sin(angle) * SOLENOID.radius,
+      (t - 0.5) * magnet.length
+    ));
+  }
+  const helix = new THREE.Mesh(
+    new THREE.TubeGeometry(new THREE.CatmullRomCurve3(points), steps * 2, SOLENOID.wire, 6, false),
+    new THREE.MeshStandardMaterial({ color: COPPER, metalness: 0.7, roughness: 0.3 })
+  );
+  helix.castShadow = true;
+  group.add(helix);
+  addCurrentMarkers(group, magnet, SOLENOID.radius + SOLENOID.wire, magnet.length / 2 + 0.3);
+  return group;
+}
+
+// Current arrow over the top of the winding and the N/S ends it produces
+function addCurrentMarkers(group, magnet, top, endZ) {
+  const sign = magnet.direction;
+  group.add(createCurrentArrow(new THREE.Vector3(-sign, 0, 0), new THREE.Vector3(0.2 * sign, top + 0.08, 0), 0.4));
+
+  const north = createCoordinateLabel('N');
+  north.scale.set(0.6, 0.15, 1);
+  north.position.set(0, 0.35, endZ * sign);
   group.add(north);
 
-  const south = new THREE.Mesh(needleGeo, southMat);
-  south.position.x = -0.075;
+  const south = createCoordinateLabel('S');
+  south.scale.set(0.6, 0.15, 1);
+  south.position.set(0, 0.35, -endZ * sign);
   group.add(south);
+}
 
-  // Base
-  const baseGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.01, 16);
-  const baseMat = new THREE.MeshStandardMaterial({ color: 0x64748b });
-  const base = new THREE.Mesh(baseGeo, baseMat);
-  base.position.y = -0.005;
-  group.add(base);
+// ---------- Magnetic Materials ----------
+// Iron and steel are split into upright square columns, each uniformly
+// magnetised by the field at its centre (including the field of every column,
+// itself too), so objects become induced magnets that draw the field into
+// themselves. Soft iron loses its magnetism when the field goes; steel is
+// harder to magnetise but keeps some.
+const MATERIALS = {
+  iron: { label: 'Soft Iron', color: 0x9ca3af, permeability: 1000, retentivity: 0 },
+  steel: { label: 'Steel', color: 0x475569, permeability: 5, retentivity: 0.5 },
+  copper: { label: 'Copper', color: COPPER },
+  wood: { label: 'Wood', color: 0xa16207 },
+  plastic: { label: 'Plastic', color: 0x38bdf8 },
+};
+const MATERIAL_BAR = { halfWidth: 0.1, halfLength: 0.5, height: 0.2 };
+const MATERIAL_BLOCK = { half: 0.3, height: 0.12 };
+// An iron pipe stood upright on the table, tall enough to shield its middle
+const IRON_RING = { inner: 0.7, outer: 0.9, height: 1.2, segments: 24 };
+const CELL_SIZE = 0.1;
+const CELL_NEAR = 2; // closer than this many widths a column's faces are summed exactly
+const INDUCED_FAR = 4; // beyond this many times its size an object acts as a single column
+const INDUCED_GROUP = 0.3; // columns are gathered into squares this wide, each acting as one from afar
+
+function createMaterialMesh(geometry, material) {
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+    color: MATERIALS[material].color,
+    metalness: MATERIALS[material].permeability ? 0.7 : 0.1,
+    roughness: MATERIALS[material].permeability ? 0.35 : 0.7,
+  }));
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
 
-  group.position.set(x, 0.05, z);
-  group.rotation.y = angle;
+// Bar-shaped objects show the poles induced at their ends
+function createMaterialBar(material) {
+  const group = new THREE.Group();
+  const { halfWidth, halfLength, height } = MATERIAL_BAR;
+  group.add(createMaterialMesh(new THREE.BoxGeometry(halfWidth * 2, height, halfLength * 2), material));
+  ['N', 'S'].forEach(text => {
+    const label = createPoleLabel(text, 0, height, 0);
+    label.name = 'induced' + text;
+    label.visible = false;
+    group.add(label);
+  });
+  return group;
+}
 
+function createIronRing() {
+  const shape = new THREE.Shape().absarc(0, 0, IRON_RING.outer, 0, Math.PI * 2);
+  shape.holes.push(new THREE.Path().absarc(0, 0, IRON_RING.inner, 0, Math.PI * 2, true));
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: IRON_RING.height, bevelEnabled: false, curveSegments: 48 });
+  geometry.rotateX(Math.PI / 2);
+  geometry.translate(0, IRON_RING.height / 2, 0);
+  const group = new THREE.Group();
+  group.add(createMaterialMesh(geometry, 'iron'));
   return group;
 }
 
-function createFieldLine(startX, startZ, steps = 300) {
-  const points = [];
-  let x = startX;
-  let z = startZ;
-  const stepSize = 0.02;
+function createMaterialBlock(material) {
+  const group = new THREE.Group();
+  const size = MATERIAL_BLOCK.half * 2;
+  group.add(createMaterialMesh(new THREE.BoxGeometry(size, MATERIAL_BLOCK.height, size), material));
+  return group;
+}
 
-  for (let i = 0; i < steps; i++) {
-    points.push(new THREE.Vector3(x, 0.02, z));
-    const field = calculateFieldAt(x, z);
-    
-    // Check if field is too weak
-    if (field.strength < 0.003) break;
+function barCells() {
+  const cells = [];
+  const { halfWidth, halfLength, height } = MATERIAL_BAR;
+  for (let x = -halfWidth + CELL_SIZE / 2; x < halfWidth; x += CELL_SIZE) {
+    for (let z = -halfLength + CELL_SIZE / 2; z < halfLength; z += CELL_SIZE) {
+      cells.push({ x, z, width: CELL_SIZE, depth: CELL_SIZE, height, angle: 0 });
+    }
+  }
+  return cells;
+}
 
-    const dirX = field.bx / field.strength;
-    const dirZ = field.bz / field.strength;
+function ringCells() {
+  const cells = [];
+  for (let r = IRON_RING.inner + CELL_SIZE / 2; r < IRON_RING.outer; r += CELL_SIZE) {
+    const count = Math.round((Math.PI * 2 * r) / CELL_SIZE);
+    for (let i = 0; i < count; i++) {
+      const phi = (i / count) * Math.PI * 2;
+      // Turned so that each cell runs along the ring, leaving no gaps for flux to leak through
+      cells.push({
+        x: Math.cos(phi) * r,
+        z: Math.sin(phi) * r,
+        width: CELL_SIZE,
+        depth: (Math.PI * 2 * r) / count,
+        height: IRON_RING.height,
+        angle: -phi,
+      });
+    }
+  }
+  return cells;
+}
 
-    x += dirX * stepSize;
-    z += dirZ * stepSize;
+const BAR_CELLS = barCells();
+const RING_CELLS = ringCells();
+
+// Boxes laid round the ring, so other objects can sit inside it
+function ringFootprint() {
+  const radius = (IRON_RING.inner + IRON_RING.outer) / 2;
+  const boxes = [];
+  for (let i = 0; i < IRON_RING.segments; i++) {
+    const phi = (i / IRON_RING.segments) * Math.PI * 2;
+    boxes.push({
+      x: Math.cos(phi) * radius,
+      z: Math.sin(phi) * radius,
+      halfWidth: (Math.PI * IRON_RING.outer) / IRON_RING.segments,
+      halfLength: (IRON_RING.outer - IRON_RING.inner) / 2,
+      angle: Math.PI / 2 - phi,
+    });
+  }
+  return boxes;
+}
 
-    // Check bounds
-    if (Math.abs(x) > 5 || Math.abs(z) > 5) break;
-    
-    // Stop if we've looped back or reached the opposite pole
-    const magnetPos = magnetGroup.position;
-    const distToMagnet = Math.sqrt((x - magnetPos.x) ** 2 + (z - magnetPos.z) ** 2);
-    if (distToMagnet < 0.2 && i > 20) break; // Reached opposite pole
+// Field of a far-off column of height h with moment m, at height dy above its
+// middle: point dipoles summed up its length
+function columnFieldAt(dx, dz, mx, mz, height, dy = 0) {
+  const rho2 = dx * dx + dz * dz;
+  // ∫ dt / r³, ∫ dt / r⁵ and ∫ t dt / r⁵ from the bottom of the column to the top
+  const integrals = t => {
+    const r2 = rho2 + t * t;
+    const r3 = r2 * Math.sqrt(r2);
+    return { one: t / (rho2 * Math.sqrt(r2)), five: (t * (2 * t * t + 3 * rho2)) / (3 * rho2 * rho2 * r3), up: -1 / (3 * r3) };
+  };
+  const top = integrals(dy + height / 2);
+  const bottom = integrals(dy - height / 2);
+  const along = (top.one - bottom.one) / height;
+  const radial = (3 * (top.five - bottom.five)) / height;
+  const rise = (3 * (top.up - bottom.up)) / height;
+  const dot = mx * dx + mz * dz;
+  return { bx: dx * dot * radial - mx * along, by: dot * rise, bz: dz * dot * radial - mz * along };
+}
+
+// H at offset (dx, dz) from a column magnetised with M = (mx, mz). Nearby,
+// sum the pole sheets on its four sides exactly, as for the bar magnet.
+function cellFieldAt(dx, dz, mx, mz, cell, dy = 0) {
+  const { width, depth, height, angle } = cell;
+  if (dx * dx + dz * dz > (CELL_NEAR * Math.max(width, depth)) ** 2) {
+    const volume = width * depth * height;
+    return columnFieldAt(dx, dz, mx * volume, mz * volume, height, dy);
   }
+  // Work in the cell's own axes
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const x = dx * cos - dz * sin;
+  const z = dx * sin + dz * cos;
+  const mu = mx * cos - mz * sin;
+  const mv = mx * sin + mz * cos;
+  const hw = width / 2;
+  const hd = depth / 2;
+  const hh = height / 2;
+  const east = faceFieldAt(z, dy, x - hw, hd, hh, mu);
+  const west = faceFieldAt(z, dy, x + hw, hd, hh, -mu);
+  const north = faceFieldAt(x, dy, z - hd, hw, hh, mv);
+  const south = faceFieldAt(x, dy, z + hd, hw, hh, -mv);
+  const bu = east.bz + west.bz + north.bx + south.bx;
+  const bv = east.bx + west.bx + north.bz + south.bz;
+  const by = east.by + west.by + north.by + south.by;
+  return { bx: bu * cos + bv * sin, by, bz: -bu * sin + bv * cos };
+}
 
-  if (points.length < 3) return null;
+function insideCell(dx, dz, cell) {
+  if (4 * (dx * dx + dz * dz) > cell.width ** 2 + cell.depth ** 2) return false;
+  const cos = Math.cos(cell.angle);
+  const sin = Math.sin(cell.angle);
+  return Math.abs(dx * cos - dz * sin) < cell.width / 2 && Math.abs(dx * sin + dz * cos) < cell.depth / 2;
+}
 
-  const group = new THREE.Group();
-  
-  // Create the curved line
-  const curve = new THREE.CatmullRomCurve3(points);
-  const segments = Math.max(points.length * 2, 100);
-  const geo = new THREE.TubeGeometry(curve, segments, 0.008, 8, false);
-  const mat = new THREE.MeshBasicMaterial({ 
-    color: 0x000000, // Black lines
-    transparent: false,
-    side: THREE.DoubleSide
+// Total moment, middle and reach of a set of columns, so that from well
+// away they can stand in for all of them as one
+function columnGroup(cells, magnetisation, indices) {
+  const group = { indices, x: 0, z: 0, moment: { x: 0, z: 0 }, reach: 0, height: cells[indices[0]].height };
+  let volume = 0;
+  indices.forEach(i => {
+    const cell = cells[i];
+    const v = cell.width * cell.depth * cell.height;
+    group.x += cell.x * v;
+    group.z += cell.z * v;
+    group.moment.x += magnetisation[i].mx * v;
+    group.moment.z += magnetisation[i].mz * v;
+    volume += v;
   });
-  const lineMesh = new THREE.Mesh(geo, mat);
-  group.add(lineMesh);
+  group.x /= volume;
+  group.z /= volume;
+  group.reach = Math.max(...indices.map(i => Math.hypot(cells[i].x - group.x, cells[i].z - group.z) + cells[i].depth));
+  return group;
+}
 
-  // Add arrowheads along the line to show direction (from N to S)
-  const arrowSpacing = Math.max(Math.floor(points.length / 12), 3); // About 12 arrows per line
-  for (let i = arrowSpacing; i < points.length - arrowSpacing; i += arrowSpacing) {
-    const point = points[i];
-    const nextPoint = points[Math.min(i + 1, points.length - 1)];
-    
-    // Calculate direction from current point to next
-    const direction = new THREE.Vector3().subVectors(nextPoint, point).normalize();
-    
-    // Create arrow helper pointing in field direction
-    const arrow = new THREE.ArrowHelper(
-      direction,
-      point,
-      0.1, // arrow length
-      0x000000, // Black color
-      0.05, // head length
-      0.04 // head width
-    );
-    group.add(arrow);
+function groupColumns(cells, magnetisation) {
+  const squares = new Map();
+  cells.forEach((cell, i) => {
+    const key = Math.floor(cell.x / INDUCED_GROUP) + ',' + Math.floor(cell.z / INDUCED_GROUP);
+    if (!squares.has(key)) squares.set(key, []);
+    squares.get(key).push(i);
+  });
+  return [...squares.values()].map(indices => columnGroup(cells, magnetisation, indices));
+}
+
+// Inside the iron B = H + 4πM, so field lines crowd into it
+function inducedFieldAt(x, z, magnet, y = 0) {
+  let bx = 0;
+  let by = 0;
+  let bz = 0;
+  if (!magnet.magnetisation) return { bx, by, bz };
+  // Well away from the object its columns act as one
+  const whole = magnet.inducedTotal;
+  const wx = x - whole.x;
+  const wz = z - whole.z;
+  if (wx * wx + wz * wz > (INDUCED_FAR * whole.reach) ** 2) {
+    return columnFieldAt(wx, wz, whole.moment.x, whole.moment.z, whole.height, y);
   }
 
-  return group;
+  // Nearer, only the columns close by are summed one at a time
+  const cells = MAGNET_TYPES[magnet.type].cells(magnet);
+  magnet.inducedGroups.forEach(group => {
+    const gx = x - group.x;
+    const gz = z - group.z;
+    if (gx * gx + gz * gz > (INDUCED_FAR * group.reach) ** 2) {
+      const field = columnFieldAt(gx, gz, group.moment.x, group.moment.z, group.height, y);
+      bx += field.bx;
+      by += field.by;
+      bz += field.bz;
+      return;
+    }
+    group.indices.forEach(i => {
+      const cell = cells[i];
+      const { mx, mz } = magnet.magnetisation[i];
+      const dx = x - cell.x;
+      const dz = z - cell.z;
+      const field = cellFieldAt(dx, dz, mx, mz, cell, y);
+      bx += field.bx;
+      by += field.by;
+      bz += field.bz;
+      if (Math.abs(y) < cell.height / 2 && insideCell(dx, dz, cell)) {
+        bx += 4 * Math.PI * mx;
+        bz += 4 * Math.PI * mz;
+      }
+    });
+  });
+  return { bx, by, bz };
 }
 
-function showIronFilings() {
-  clearFieldVisualization();
-  const spacing = 0.2;
-  for (let x = -2.5; x <= 2.5; x += spacing) {
-    for (let z = -2.5; z <= 2.5; z += spacing) {
-      const filing = createIronFiling(x, z);
-      if (filing) {
-        scene.add(filing);
-        ironFilings.push(filing);
-      }
+// Gaussian elimination with partial pivoting; solves in place
+function solveLinearSystem(matrix, rhs) {
+  const n = rhs.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
     }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) matrix[row][k] -= factor * matrix[col][k];
+      rhs[row] -= factor * rhs[col];
+    }
+  }
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rhs[row];
+    for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * rhs[k];
+    rhs[row] = sum / matrix[row][row];
   }
+  return rhs;
 }
 
-function showCompassNeedles() {
-  clearFieldVisualization();
-  const spacing = 0.4;
-  for (let x = -2; x <= 2; x += spacing) {
-    for (let z = -2; z <= 2; z += spacing) {
-      const needle = createCompassNeedle(x, z);
-      if (needle) {
-        scene.add(needle);
-        compassNeedles.push(needle);
-      }
+// How the columns of one object magnetise each other never changes in the
+// object's own frame, so it is worked out once per shape and turned to suit
+const couplingCache = new Map();
+
+function couplingWithin(body, i, j) {
+  const cells = MAGNET_TYPES[body.type].cells(body);
+  if (!couplingCache.has(cells)) {
+    couplingCache.set(cells, cells.map(ci => cells.map(cj => ({
+      fromX: cellFieldAt(ci.x - cj.x, ci.z - cj.z, 1, 0, cj),
+      fromZ: cellFieldAt(ci.x - cj.x, ci.z - cj.z, 0, 1, cj),
+    }))));
+  }
+  const { fromX, fromZ } = couplingCache.get(cells)[i][j];
+  // A world x or z magnetisation is (cos, sin) or (−sin, cos) in the object's frame
+  const cos = Math.cos(body.group.rotation.y);
+  const sin = Math.sin(body.group.rotation.y);
+  const turned = (mx, mz) => toWorldFrame(body, fromX.bx * mx + fromZ.bx * mz, fromX.bz * mx + fromZ.bz * mz);
+  const alongX = turned(cos, sin);
+  const alongZ = turned(-sin, cos);
+  return { fromX: { bx: alongX.x, bz: alongX.z }, fromZ: { bx: alongZ.x, bz: alongZ.z } };
+}
+
+// Find every column's magnetisation at once: M = χ(H + field of all the
+// columns) + M_kept, with susceptibility χ = (μ - 1)/4π
+function solveInducedMagnetism() {
+  const bodies = magnets.filter(magnet => MAGNET_TYPES[magnet.type].cells);
+  bodies.forEach(body => {
+    body.magnetisation = null; // so calculateFieldAt gives the applied field alone
+  });
+  if (bodies.length === 0) return;
+
+  const cells = [];
+  bodies.forEach(body => {
+    const { permeability } = MATERIALS[MAGNET_TYPES[body.type].material];
+    MAGNET_TYPES[body.type].cells(body).forEach((cell, i) => {
+      const p = magnetPoint(body, cell);
+      const kept = body.retained ? toWorldFrame(body, body.retained[i].mx, body.retained[i].mz) : { x: 0, z: 0 };
+      const susceptibility = (permeability - 1) / (4 * Math.PI);
+      cells.push({ ...cell, ...p, susceptibility, kept, angle: cell.angle + body.group.rotation.y, body, index: i });
+    });
+  });
+
+  const n = cells.length;
+  const matrix = [];
+  const rhs = [];
+  cells.forEach((ci, i) => {
+    const rowX = new Array(2 * n).fill(0);
+    const rowZ = new Array(2 * n).fill(0);
+    rowX[2 * i] = 1;
+    rowZ[2 * i + 1] = 1;
+    cells.forEach((cj, j) => {
+      const { fromX, fromZ } = ci.body === cj.body
+        ? couplingWithin(ci.body, ci.index, cj.index)
+        : { fromX: cellFieldAt(ci.x - cj.x, ci.z - cj.z, 1, 0, cj), fromZ: cellFieldAt(ci.x - cj.x, ci.z - cj.z, 0, 1, cj) };
+      rowX[2 * j] -= ci.susceptibility * fromX.bx;
+      rowX[2 * j + 1] -= ci.susceptibility * fromZ.bx;
+      rowZ[2 * j] -= ci.susceptibility * fromX.bz;
+      rowZ[2 * j + 1] -= ci.susceptibility * fromZ.bz;
+    });
+    const applied = calculateFieldAt(ci.x, ci.z);
+    matrix.push(rowX, rowZ);
+    rhs.push(ci.susceptibility * applied.bx + ci.kept.x, ci.susceptibility * applied.bz + ci.kept.z);
+  });
+  const solution = solveLinearSystem(matrix, rhs);
+
+  let offset = 0;
+  bodies.forEach(body => {
+    const { retentivity } = MATERIALS[MAGNET_TYPES[body.type].material];
+    const cells = MAGNET_TYPES[body.type].cells(body);
+    const count = cells.length;
+    const cos = Math.cos(body.group.rotation.y);
+    const sin = Math.sin(body.group.rotation.y);
+    body.magnetisation = [];
+    for (let i = 0; i < count; i++) {
+      const mx = solution[2 * (offset + i)];
+      const mz = solution[2 * (offset + i) + 1];
+      // Back into the object's own frame, so it turns with the object
+      body.magnetisation.push({ mx: mx * cos - mz * sin, mz: mx * sin + mz * cos });
+    }
+    offset += count;
+
+    body.inducedTotal = columnGroup(cells, body.magnetisation, cells.map((cell, i) => i));
+    body.inducedGroups = groupColumns(cells, body.magnetisation);
+
+    // Steel keeps a share of the strongest magnetisation it has had
+    if (retentivity > 0) {
+      body.retained = body.magnetisation.map((m, i) => {
+        const kept = body.retained ? body.retained[i] : { mx: 0, mz: 0 };
+        const candidate = { mx: m.mx * retentivity, mz: m.mz * retentivity };
+        return Math.hypot(candidate.mx, candidate.mz) > Math.hypot(kept.mx, kept.mz) ? candidate : kept;
+      });
     }
+    updateInducedPoles(body);
+  });
+}
+
+// The solution is kept until a source or material moves, turns or has a
+// setting changed, which always goes through refreshVisualization
+let inducedStale = true;
+
+function updateInducedMagnetism() {
+  if (!inducedStale) return;
+  inducedStale = false;
+  solveInducedMagnetism();
+}
+
+// Label the ends of an iron or steel bar with the poles induced in it
+function updateInducedPoles(body) {
+  const north = body.group.getObjectByName('inducedN');
+  const south = body.group.getObjectByName('inducedS');
+  if (!north) return;
+  const mz = body.magnetisation.reduce((sum, m) => sum + m.mz, 0);
+  const visible = Math.abs(mz) > 0.1;
+  north.visible = visible;
+  south.visible = visible;
+  const end = (MATERIAL_BAR.halfLength + 0.15) * Math.sign(mz);
+  north.position.z = end;
+  south.position.z = -end;
+}
+
+// Outlines of the magnets' footprints in their own frame, used to seed field lines
+function rectangleOutline(halfWidth, halfLength) {
+  return [
+    { x: -halfWidth, z: -halfLength },
+    { x: halfWidth, z: -halfLength },
+    { x: halfWidth, z: halfLength },
+    { x: -halfWidth, z: halfLength },
+  ];
+}
+
+function circleOutline(radius, z0 = 0, from = 0, to = Math.PI * 2, steps = 48) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const a = from + ((to - from) * i) / steps;
+    points.push({ x: Math.cos(a) * radius, z: z0 + Math.sin(a) * radius });
   }
+  return points;
 }
 
-function showFieldLines() {
-  clearFieldVisualization();
-  const magnetPos = magnetGroup.position;
-  const magnetRot = magnetGroup.rotation.y;
-  
-  // Calculate pole positions accounting for rotation
-  const poleDistance = 0.7; // Distance from center to pole
-  const cosRot = Math.cos(magnetRot);
-  const sinRot = Math.sin(magnetRot);
-  
-  // North pole position (red end - positive Z direction)
-  const northPoleX = magnetPos.x - sinRot * poleDistance;
-  const northPoleZ = magnetPos.z + cosRot * poleDistance;
-  
-  // South pole position (blue end - negative Z direction)
-  const southPoleX = magnetPos.x + sinRot * poleDistance;
-  const southPoleZ = magnetPos.z - cosRot * poleDistance;
-  
-  // Create field lines starting from North pole (higher density near poles)
-  const numLinesFromNorth = 20;
-  for (let i = 0; i < numLinesFromNorth; i++) {
-    const angle = (i / numLinesFromNorth) * Math.PI * 2;
-    // Start from a small circle around the North pole
-    const radius = 0.15 + (i % 3) * 0.05; // Vary radius for density
-    const startX = northPoleX + Math.cos(angle) * radius;
-    const startZ = northPoleZ + Math.sin(angle) * radius;
-
-    const line = createFieldLine(startX, startZ);
-    if (line) {
-      scene.add(line);
-      fieldLines.push(line);
+function horseshoeOutline() {
+  const { halfGap, tube, bendZ, tipEnd } = HORSESHOE;
+  const outer = halfGap + tube;
+  const inner = halfGap - tube;
+  return [
+    { x: outer, z: tipEnd },
+    ...circleOutline(outer, bendZ, 0, -Math.PI, 24),
+    { x: -outer, z: tipEnd },
+    { x: -inner, z: tipEnd },
+    ...circleOutline(inner, bendZ, -Math.PI, 0, 24),
+    { x: inner, z: tipEnd },
+  ];
+}
+
+// Patches covering a magnet's surface in 3D, or a gate every line crosses,
+// each { x, y, z, nx, ny, nz, area } in the magnet's own frame
+const SURFACE_STEP = 0.03;
+
+function surfaceSteps(length) {
+  return Math.max(1, Math.round(length / SURFACE_STEP));
+}
+
+// The rectangle corner + s·u + t·v for s, t in [0, 1]
+function rectanglePatches(corner, u, v, normal) {
+  const lengthU = Math.hypot(u.x, u.y, u.z);
+  const lengthV = Math.hypot(v.x, v.y, v.z);
+  const stepsU = surfaceSteps(lengthU);
+  const stepsV = surfaceSteps(lengthV);
+  const area = (lengthU * lengthV) / (stepsU * stepsV);
+  const patches = [];
+  for (let i = 0; i < stepsU; i++) {
+    for (let j = 0; j < stepsV; j++) {
+      const s = (i + 0.5) / stepsU;
+      const t = (j + 0.5) / stepsV;
+      patches.push({
+        x: corner.x + u.x * s + v.x * t,
+        y: corner.y + u.y * s + v.y * t,
+        z: corner.z + u.z * s + v.z * t,
+        nx: normal.x,
+        ny: normal.y,
+        nz: normal.z,
+        area,
+      });
     }
   }
-  
-  // Create additional lines from around the magnet for complete coverage
-  const numLinesAround = 16;
-  for (let i = 0; i < numLinesAround; i++) {
-    const angle = (i / numLinesAround) * Math.PI * 2;
-    const radius = 0.4;
-    const startX = magnetPos.x + Math.cos(angle) * radius;
-    const startZ = magnetPos.z + Math.sin(angle) * radius;
-
-    const line = createFieldLine(startX, startZ);
-    if (line) {
-      scene.add(line);
-      fieldLines.push(line);
+  return patches;
+}
+
+function boxPatches(halfWidth, halfHeight, halfLength) {
+  const half = { x: halfWidth, y: halfHeight, z: halfLength };
+  const zero = { x: 0, y: 0, z: 0 };
+  const patches = [];
+  ['x', 'y', 'z'].forEach(axis => {
+    const [a, b] = ['x', 'y', 'z'].filter(other => other !== axis);
+    [-1, 1].forEach(side => {
+      patches.push(...rectanglePatches(
+        { x: -halfWidth, y: -halfHeight, z: -halfLength, [axis]: side * half[axis] },
+        { ...zero, [a]: 2 * half[a] },
+        { ...zero, [b]: 2 * half[b] },
+        { ...zero, [axis]: side }
+      ));
+    });
+  });
+  return patches;
+}
+
+// A round tube of the given radius along a path lying flat in the x–z plane
+function tubePatches(path, radius) {
+  const around = surfaceSteps(Math.PI * 2 * radius);
+  const patches = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i];
+    const b = path[i + 1];
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+    const steps = surfaceSteps(length);
+    const area = (length / steps) * ((Math.PI * 2 * radius) / around);
+    for (let j = 0; j < steps; j++) {
+      const t = (j + 0.5) / steps;
+      for (let k = 0; k < around; k++) {
+        const angle = ((k + 0.5) / around) * Math.PI * 2;
+        const nx = (Math.cos(angle) * (b.z - a.z)) / length;
+        const ny = Math.sin(angle);
+        const nz = (-Math.cos(angle) * (b.x - a.x)) / length;
+        patches.push({
+          x: a.x + (b.x - a.x) * t + radius * nx,
+          y: radius * ny,
+          z: a.z + (b.z - a.z) * t + radius * nz,
+          nx,
+          ny,
+          nz,
+          area,
+        });
+      }
     }
   }
+  return patches;
 }
 
-function refreshVisualization() {
-  const mode = document.getElementById('vizMode').value;
-  if (ironFilings.length > 0 || compassNeedles.length > 0) {
-    clearFieldVisualization();
-    if (mode === 'ironFilings') showIronFilings();
-    else if (mode === 'compass') showCompassNeedles();
+// A disc facing along +Z, centred on (x, 0, z)
+function discPatches(x, z, radius) {
+  const rings = surfaceSteps(radius);
+  const patches = [];
+  for (let i = 0; i < rings; i++) {
+    const r = ((i + 0.5) / rings) * radius;
+    const around = surfaceSteps(Math.PI * 2 * r);
+    const area = ((radius / rings) * (Math.PI * 2 * r)) / around;
+    for (let k = 0; k < around; k++) {
+      const angle = ((k + 0.5) / around) * Math.PI * 2;
+      patches.push({ x: x + r * Math.cos(angle), y: r * Math.sin(angle), z, nx: 0, ny: 0, nz: 1, area });
+    }
   }
+  return patches;
 }
 
-// ---------- UI Controls ----------
+function horseshoePatches() {
+  const { halfGap, tube, bendZ, tipEnd } = HORSESHOE;
+  const path = [{ x: halfGap, z: tipEnd }, ...circleOutline(halfGap, bendZ, 0, -Math.PI, 24), { x: -halfGap, z: tipEnd }];
+  return [...tubePatches(path, tube), ...discPatches(halfGap, tipEnd, tube), ...discPatches(-halfGap, tipEnd, tube)];
+}
 
-document.getElementById('showField').addEventListener('click', () => {
-  const mode = document.getElementById('vizMode').value;
-  if (mode === 'ironFilings') showIronFilings();
-  else if (mode === 'compass') showCompassNeedles();
+const MAGNET_TYPES = {
+  bar: {
+    label: 'Bar Magnet',
+    create: createBarMagnet,
+    field: barFieldAt,
+    contains: (x, z, magnet, y = 0) =>
+      Math.abs(x) < BAR_WIDTH / 2 && Math.abs(y) < BAR_HEIGHT / 2 && Math.abs(z) < magnet.length / 2,
+    outline: magnet => [rectangleOutline(BAR_WIDTH / 2, magnet.length / 2)],
+    shell: magnet => boxPatches(BAR_WIDTH / 2, BAR_HEIGHT / 2, magnet.length / 2),
+    poles: barPoles,
+    footprint: magnet => [{ x: 0, z: 0, halfWidth: BAR_WIDTH / 2, halfLength: magnet.length / 2 }],
+    hasInterior: true,
+    resizable: true,
+  },
+  horseshoe: {
+    label: 'Horseshoe Magnet',
+    create: createHorseshoeMagnet,
+    field: (x, z, magnet, y) => poleFieldAt(HORSESHOE_POLES, x, z, y),
+    contains: (x, z, magnet, y = 0) => {
+      const { halfGap, tube, bendZ, tipEnd } = HORSESHOE;
+      if (z >= bendZ) return z < tipEnd && Math.hypot(Math.abs(x) - halfGap, y) < tube;
+      return Math.hypot(Math.hypot(x, z - bendZ) - halfGap, y) < tube;
+    },
+    outline: () => [horseshoeOutline()],
+    shell: horseshoePatches,
+    poles: () => HORSESHOE_POLES,
+    footprint: () => [{ x: 0, z: -0.01, halfWidth: HORSESHOE.halfGap + HORSESHOE.tube, halfLength: 0.56 }],
+  },
+  ring: {
+    label: 'Ring Magnet',
+    create: createRingMagnet,
+    field: (x, z, magnet, y) => poleFieldAt(RING_POLES, x, z, y),
+    contains: (x, z, magnet, y = 0) => Math.hypot(Math.hypot(x, z) - RING.radius, y) < RING.tube,
+    outline: () => [circleOutline(RING.radius + RING.tube), circleOutline(RING.radius - RING.tube)],
+    shell: () => tubePatches(circleOutline(RING.radius), RING.tube),
+    poles: () => RING_POLES,
+    footprint: () => [{ x: 0, z: 0, halfWidth: RING.radius + RING.tube, halfLength: RING.radius + RING.tube }],
+  },
+  wire: {
+    label: 'Straight Wire',
+    create: createWire,
+    field: currentFieldAt,
+    contains: (x, z) => Math.hypot(x, z) < WIRE.radius + 0.02,
+    // Every field line is a circle that crosses this ray once
+    gate: () => [{ x: WIRE.radius + 0.05, z: 0 }, { x: 3.5, z: 0 }],
+    gateSurface: magnet => rectanglePatches(
+      { x: WIRE.radius + 0.05, y: SPACE_BOTTOM - magnet.group.position.y, z: 0 },
+      { x: 3.5 - WIRE.radius - 0.05, y: 0, z: 0 },
+      { x: 0, y: SPACE_TOP - SPACE_BOTTOM, z: 0 },
+      { x: 0, y: 0, z: 1 }
+    ),
+    footprint: () => [{ x: 0, z: 0, halfWidth: WIRE.radius, halfLength: WIRE.radius }],
+    electric: true,
+  },
+  coil: {
+    label: 'Flat Coil',
+    create: createCoil,
+    field: currentFieldAt,
+    contains: (x, z, magnet, y = 0) => Math.hypot(Math.hypot(x, y) - COIL.radius, z) < 0.06,
+    // Every field line threads the coil, crossing its diameter once
+    gate: () => [{ x: -COIL.radius + 0.07, z: 0 }, { x: COIL.radius - 0.07, z: 0 }],
+    gateSurface: () => discPatches(0, 0, COIL.radius - 0.07),
+    // Only the windings pass through the table; a magnet can slide through the middle
+    footprint: () => [-1, 1].map(side => ({ x: side * COIL.radius, z: 0, halfWidth: 0.06, halfLength: 0.06 })),
+    electric: true,
+    hasTurns: true,
+  },
+  solenoid: {
+    label: 'Solenoid',
+    create: createSolenoid,
+    field: currentFieldAt,
+    contains: (x, z, magnet, y = 0) =>
+      Math.abs(Math.hypot(x, y) - SOLENOID.radius) < 0.05 && Math.abs(z) < magnet.length / 2 + 0.03,
+    gate: () => [{ x: -SOLENOID.radius + 0.06, z: 0 }, { x: SOLENOID.radius - 0.06, z: 0 }],
+    gateSurface: () => discPatches(0, 0, SOLENOID.radius - 0.06),
+    footprint: magnet => [-1, 1].map(side => ({
+      x: side * SOLENOID.radius,
+      z: 0,
+      halfWidth: 0.05,
+      halfLength: magnet.length / 2 + 0.03,
+    })),
+    electric: true,
+    hasTurns: true,
+    resizable: true,
+  },
+  ironBar: {
+    label: 'Soft Iron Bar',
+    create: () => createMaterialBar('iron'),
+    field: inducedFieldAt,
+    contains: (x, z, magnet, y = 0) =>
+      Math.abs(x) < MATERIAL_BAR.halfWidth && Math.abs(y) < MATERIAL_BAR.height / 2 && Math.abs(z) < MATERIAL_BAR.halfLength,
+    cells: () => BAR_CELLS,
+    footprint: () => [{ x: 0, z: 0, ...MATERIAL_BAR }],
+    material: 'iron',
+    height: MATERIAL_BAR.height,
+  },
+  steelBar: {
+    label: 'Steel Bar',
+    create: () => createMaterialBar('steel'),
+    field: inducedFieldAt,
+    contains: (x, z, magnet, y = 0) =>
+      Math.abs(x) < MATERIAL_BAR.halfWidth && Math.abs(y) < MATERIAL_BAR.height / 2 && Math.abs(z) < MATERIAL_BAR.halfLength,
+    cells: () => BAR_CELLS,
+    footprint: () => [{ x: 0, z: 0, ...MATERIAL_BAR }],
+    material: 'steel',
+    height: MATERIAL_BAR.height,
+  },
+  ironRing: {
+    label: 'Soft Iron Ring',
+    create: createIronRing,
+    field: inducedFieldAt,
+    contains: (x, z, magnet, y = 0) => {
+      const r = Math.hypot(x, z);
+      return r > IRON_RING.inner && r < IRON_RING.outer && Math.abs(y) < IRON_RING.height / 2;
+    },
+    cells: () => RING_CELLS,
+    footprint: ringFootprint,
+    material: 'iron',
+    height: IRON_RING.height,
+  },
+};
+
+// Copper, wood and plastic blocks leave the field exactly as it was
+['copper', 'wood', 'plastic'].forEach(material => {
+  MAGNET_TYPES[material] = {
+    label: MATERIALS[material].label + ' Block',
+    create: () => createMaterialBlock(material),
+    field: () => ({ bx: 0, by: 0, bz: 0 }),
+    contains: (x, z, magnet, y = 0) =>
+      Math.abs(x) < MATERIAL_BLOCK.half && Math.abs(y) < MATERIAL_BLOCK.height / 2 && Math.abs(z) < MATERIAL_BLOCK.half,
+    footprint: () => [{ x: 0, z: 0, halfWidth: MATERIAL_BLOCK.half, halfLength: MATERIAL_BLOCK.half }],
+    material,
+    height: MATERIAL_BLOCK.height,
+  };
 });
 
-// Auto-show compass needles on load (default view)
-window.addEventListener('load', () => {
-  setTimeout(() => {
-    showCompassNeedles();
-  }, 500);
-});
+// Convert a world point into the magnet's frame (its N pole lies along +Z)
+function toMagnetFrame(magnet, x, z) {
+  const { position, rotation } = magnet.group;
+  const cosRot = Math.cos(rotation.y);
+  const sinRot = Math.sin(rotation.y);
+  const dx = x - position.x;
+  const dz = z - position.z;
+  return { x: dx * cosRot - dz * sinRot, z: dx * sinRot + dz * cosRot };
+}
 
-document.getElementById('clearField').addEventListener('click', () => {
-  clearFieldVisualization();
-});
+// Rotate a vector from the magnet's frame back to world axes
+function toWorldFrame(magnet, x, z) {
+  const cosRot = Math.cos(magnet.group.rotation.y);
+  const sinRot = Math.sin(magnet.group.rotation.y);
+  return { x: x * cosRot + z * sinRot, z: -x * sinRot + z * cosRot };
+}
 
-document.getElementById('vizMode').addEventListener('change', () => {
-  clearFieldVisualization();
-});
+function magnetPoint(magnet, local) {
+  const offset = toWorldFrame(magnet, local.x, local.z);
+  return { x: magnet.group.position.x + offset.x, z: magnet.group.position.z + offset.z };
+}
 
-// Magnet position controls
-document.getElementById('magnetX').addEventListener('input', (e) => {
-  magnetGroup.position.x = parseFloat(e.target.value);
-  document.getElementById('magnetXVal').textContent = parseFloat(e.target.value).toFixed(1);
-  refreshVisualization();
-});
+// A world height y tests the point in space; without one, each magnet is
+// cut through its own middle, as on the table
+function magnetAt(x, z, candidates = magnets, y = null) {
+  return candidates.find(magnet => {
+    const local = toMagnetFrame(magnet, x, z);
+    const height = y === null ? 0 : y - magnet.group.position.y;
+    return MAGNET_TYPES[magnet.type].contains(local.x, local.z, magnet, height);
+  });
+}
 
-document.getElementById('magnetZ').addEventListener('input', (e) => {
-  magnetGroup.position.z = parseFloat(e.target.value);
-  document.getElementById('magnetZVal').textContent = parseFloat(e.target.value).toFixed(1);
-  refreshVisualization();
-});
+function isInsideMagnet(x, z) {
+  return !!magnetAt(x, z);
+}
+
+function addMagnet(type, x = 0, z = 0, rotation = 0) {
+  const magnet = {
+    type,
+    group: null,
+    length: 1.6,
+    strength: 1,
+    current: 1,
+    direction: 1,
+    turns: 10,
+    motion: 'held', // 'held', 'released' on the table or 'suspended' from a thread
+    vx: 0,
+    vz: 0,
+    spin: 0,
+  };
+  buildMagnet(magnet);
+  // Current sources are centred on the table so it cuts through the windings
+  const { electric, material, height } = MAGNET_TYPES[type];
+  magnet.group.position.set(x, electric ? 0.02 : material ? height / 2 : 0.15, z);
+  magnet.group.rotation.y = rotation;
+  // Objects lie loose on the table, free to be pulled about
+  if (material) magnet.motion = 'released';
+  magnets.push(magnet);
+  return magnet;
+}
+
+// (Re)create the magnet's mesh and pole charges, keeping its placement
+function buildMagnet(magnet) {
+  const old = magnet.group;
+  const group = MAGNET_TYPES[magnet.type].create(magnet);
+  if (old) {
+    group.position.copy(old.position);
+    group.rotation.y = old.rotation.y;
+    scene.remove(old);
+  }
+  group.userData.magnet = magnet;
+  scene.add(group);
+  magnet.group = group;
+  if (MAGNET_TYPES[magnet.type].electric) magnet.currentPath = createCurrentPath(magnet);
+  updateThread(magnet);
+  if (magnetsTranslucent) setMagnetsTranslucent(true);
+}
+
+function removeMagnet(magnet) {
+  const index = magnets.indexOf(magnet);
+  if (index === -1) return;
+  scene.remove(magnet.group);
+  magnets.splice(index, 1);
+  if (selectedMagnet === magnet) selectedMagnet = magnets[magnets.length - 1] || null;
+}
+
+// See-through magnets let field lines be followed inside the bar
+let magnetsTranslucent = false;
+function setMagnetsTranslucent(translucent) {
+  magnetsTranslucent = translucent;
+  magnets.forEach(magnet => {
+    magnet.group.traverse(child => {
+      if (!child.isMesh || child.material.map) return;
+      child.material.transparent = translucent;
+      child.material.opacity = translucent ? 0.35 : 1;
+      child.material.depthWrite = !translucent;
+    });
+  });
+}
+
+// Selection marker drawn on the table under the selected magnet
+const selectionRing = new THREE.Mesh(
+  new THREE.RingGeometry(0.88, 0.94, 48),
+  new THREE.MeshBasicMaterial({ color: 0x06b6d4, side: THREE.DoubleSide })
+);
+selectionRing.rotation.x = -Math.PI / 2;
+selectionRing.position.y = 0.015;
+selectionRing.visible = false;
+scene.add(selectionRing);
+
+addMagnet('bar');
+selectedMagnet = magnets[0];
+
+// ---------- Earth's Field ----------
+// Uniform horizontal component pointing to magnetic north. A bearing of 0°
+// puts north towards -Z (the top of the default view).
+const earthField = { strength: 0, bearing: 0 };
+const EARTH_DEFAULT_STRENGTH = 0.2;
+
+// Magnet rotation that points a magnet's N pole to magnetic north
+function northRotation() {
+  return ((earthField.bearing + 180) * Math.PI) / 180;
+}
+
+const earthIndicator = new THREE.Group();
+earthIndicator.add(new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(0, 0, -0.4), 0.8, 0x7c3aed, 0.2, 0.12));
+const earthLabel = createCoordinateLabel('N');
+earthLabel.scale.set(0.6, 0.15, 1);
+earthLabel.position.set(0, 0.15, 0.6);
+earthIndicator.add(earthLabel);
+earthIndicator.position.set(3.3, 0.03, 3.3);
+earthIndicator.visible = false;
+scene.add(earthIndicator);
+
+function updateEarthIndicator() {
+  earthIndicator.visible = earthField.strength > 0;
+  earthIndicator.rotation.y = northRotation();
+}
+
+// ---------- Magnetic Field Visualization ----------
+let filingMesh = null;
+let compassNeedles = [];
+let fieldLines = [];
+let fieldLinesShown = null; // 'table' or 'space' while field lines are drawn
+
+function clearFieldVisualization() {
+  setMagnetsTranslucent(false);
+  if (filingMesh) scene.remove(filingMesh);
+  compassNeedles.forEach(c => scene.remove(c));
+  fieldLines.forEach(l => scene.remove(l));
+  fieldLinesShown = null;
+  filingMesh = null;
+  compassNeedles = [];
+  fieldLines = [];
+}
+
+// Resultant field of Earth and every magnet on the table (superposition),
+// optionally leaving one magnet out to find the field acting on it
+function calculateFieldAt(x, z, exclude = null) {
+  const north = northRotation();
+  let bx = Math.sin(north) * earthField.strength;
+  let bz = Math.cos(north) * earthField.strength;
+  magnets.forEach(magnet => {
+    if (magnet === exclude) return;
+    const local = toMagnetFrame(magnet, x, z);
+    const field = MAGNET_TYPES[magnet.type].field(local.x, local.z, magnet);
+    const world = toWorldFrame(magnet, field.bx * magnet.strength, field.bz * magnet.strength);
+    bx += world.x;
+    bz += world.z;
+  });
+
+  return { bx, bz, strength: Math.sqrt(bx * bx + bz * bz) };
+}
+
+// The same superposition at a point in space; the Earth's field is taken as
+// horizontal, and each magnet is evaluated at the height above its centre
+function calculateFieldAt3D(x, y, z) {
+  const north = northRotation();
+  let bx = Math.sin(north) * earthField.strength;
+  let by = 0;
+  let bz = Math.cos(north) * earthField.strength;
+  magnets.forEach(magnet => {
+    const local = toMagnetFrame(magnet, x, z);
+    const field = MAGNET_TYPES[magnet.type].field(local.x, local.z, magnet, y - magnet.group.position.y);
+    const world = toWorldFrame(magnet, field.bx * magnet.strength, field.bz * magnet.strength);
+    bx += world.x;
+    by += field.by * magnet.strength;
+    bz += world.z;
+  });
+
+  return { bx, by, bz, strength: Math.sqrt(bx * bx + by * by + bz * bz) };
+}
+
+function createCompassNeedle(x, z) {
+  if (isInsideMagnet(x, z)) return null;
+  const field = calculateFieldAt(x, z);
+  if (field.strength < 0.01) return null;
+
+  // Needle's north half lies along its local +X
+  const angle = Math.atan2(-field.bz, field.bx);
+
+  const group = new THREE.Group();
+  addNeedle(group);
+
+  // Base
+  const baseGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.01, 16);
+  const baseMat = new THREE.MeshStandardMaterial({ color: 0x64748b });
+  const base = new THREE.Mesh(baseGeo, baseMat);
+  base.position.y = -0.005;
+  group.add(base);
+
+  group.position.set(x, 0.05, z);
+  group.rotation.y = angle;
+
+  return group;
+}
+
+// Red north half along the group's +X, blue south half behind it
+function addNeedle(group) {
+  const needleGeo = new THREE.BoxGeometry(0.15, 0.02, 0.02);
+  const northMat = new THREE.MeshStandardMaterial({ color: 0xdc2626 });
+  const southMat = new THREE.MeshStandardMaterial({ color: 0x2563eb });
+
+  const north = new THREE.Mesh(needleGeo, northMat);
+  north.position.x = 0.075;
+  group.add(north);
+
+  const south = new THREE.Mesh(needleGeo, southMat);
+  south.position.x = -0.075;
+  group.add(south);
+}
+
+// A needle hung in gimbals, free to turn every way, lines up with the full
+// 3D field, dipping where the lines curve up out of the table or down into it
+function createCompassNeedle3D(x, y, z) {
+  if (magnetAt(x, z, magnets, y)) return null;
+  const field = calculateFieldAt3D(x, y, z);
+  if (field.strength < 0.01) return null;
+
+  const group = new THREE.Group();
+  addNeedle(group);
+  const pivot = new THREE.Mesh(
+    new THREE.SphereGeometry(0.02, 12, 8),
+    new THREE.MeshStandardMaterial({ color: 0x64748b })
+  );
+  group.add(pivot);
+
+  group.position.set(x, y, z);
+  const direction = new THREE.Vector3(field.bx, field.by, field.bz).normalize();
+  group.quaternion.setFromUnitVectors(new THREE.Vector3(1, 0, 0), direction);
+  return group;
+}
+
+// Adaptive RK4 along the unit field direction, with the step halved or
+// doubled to hold the local error near TRACE_TOLERANCE
+const TRACE_TOLERANCE = 1e-4;
+const TRACE_MIN_STEP = 0.002;
+const TRACE_MAX_STEP = 0.08;
+const TRACE_MAX_LENGTH = 40;
+const SPACE_BOTTOM = -2.5; // how far below and above the table 3D lines are followed
+const SPACE_TOP = 3;
+
+// Lines are traced either in the table plane or in the space around the
+// magnets; a space gives the field and tells which source a point lies in
+const TABLE_SPACE = {
+  fieldAt: p => ({ by: 0, ...calculateFieldAt(p.x, p.z) }),
+  sourceAt: (p, candidates = magnets) => magnetAt(p.x, p.z, candidates),
+  outside: p => Math.abs(p.x) > TABLE_HALF || Math.abs(p.z) > TABLE_HALF,
+};
+const OPEN_SPACE = {
+  fieldAt: p => calculateFieldAt3D(p.x, p.y, p.z),
+  sourceAt: (p, candidates = magnets) => magnetAt(p.x, p.z, candidates, p.y),
+  outside: p => TABLE_SPACE.outside(p) || p.y < SPACE_BOTTOM || p.y > SPACE_TOP,
+};
+
+function fieldDirectionAt(space, p) {
+  const field = space.fieldAt(p);
+  if (field.strength < 1e-9) return null;
+  return { x: field.bx / field.strength, y: field.by / field.strength, z: field.bz / field.strength };
+}
+
+function offsetPoint(p, d, h) {
+  return { x: p.x + h * d.x, y: p.y + h * d.y, z: p.z + h * d.z };
+}
+
+function pointDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+}
+
+function rk4Step(space, p, h) {
+  const k1 = fieldDirectionAt(space, p);
+  const k2 = k1 && fieldDirectionAt(space, offsetPoint(p, k1, h / 2));
+  const k3 = k2 && fieldDirectionAt(space, offsetPoint(p, k2, h / 2));
+  const k4 = k3 && fieldDirectionAt(space, offsetPoint(p, k3, h));
+  if (!k4) return null; // ran into a neutral point
+  return {
+    x: p.x + (h / 6) * (k1.x + 2 * k2.x + 2 * k3.x + k4.x),
+    y: p.y + (h / 6) * (k1.y + 2 * k2.y + 2 * k3.y + k4.y),
+    z: p.z + (h / 6) * (k1.z + 2 * k2.z + 2 * k3.z + k4.z),
+  };
+}
+
+// Bisect the chord a → b for the point where it crosses the magnet's surface
+function surfacePoint(space, a, b, magnet) {
+  const along = t => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t });
+  const inside = t => !!space.sourceAt(along(t), [magnet]);
+  const startInside = inside(0);
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (inside(mid) === startInside) lo = mid;
+    else hi = mid;
+  }
+  return along(hi);
+}
+
+// Lines end exactly on the surface of the pole they run into; a line that
+// enters a bar magnet carries on through it and ends where it leaves the N face
+function traceLine(space, start) {
+  const points = [start];
+  // Lines end on magnets and current sources; they run on through iron and
+  // straight past non-magnetic objects
+  const sources = magnets.filter(magnet => !MAGNET_TYPES[magnet.type].material);
+  let p = start;
+  let inMagnet = space.sourceAt(p, sources) || null;
+  let h = 0.02;
+  let length = 0;
+
+  while (length < TRACE_MAX_LENGTH) {
+    let next = null;
+    let used = h;
+    for (;;) {
+      const full = rk4Step(space, p, h);
+      const half = full && rk4Step(space, p, h / 2);
+      const twice = half && rk4Step(space, half, h / 2);
+      if (!twice) return points;
+
+      const error = pointDistance(full, twice);
+      if (error > TRACE_TOLERANCE && h > TRACE_MIN_STEP) {
+        h = Math.max(h / 2, TRACE_MIN_STEP);
+        continue;
+      }
+      next = twice;
+      used = h;
+      if (error < TRACE_TOLERANCE / 16) h = Math.min(h * 2, TRACE_MAX_STEP);
+      break;
+    }
+
+    // A step that turns back on itself has run into a neutral point
+    if (pointDistance(p, next) < used / 4) break;
+
+    if (space.outside(next)) {
+      points.push(next);
+      break;
+    }
+
+    const hit = space.sourceAt(next, sources) || null;
+    if (hit !== inMagnet) {
+      const surface = surfacePoint(space, p, next, hit || inMagnet);
+      points.push(surface);
+      if (!hit || !MAGNET_TYPES[hit.type].hasInterior) break;
+      length += pointDistance(p, surface);
+      inMagnet = hit;
+      p = surface;
+      h = TRACE_MIN_STEP;
+      continue;
+    }
+
+    // Closed loops round a wire or through a coil end back at their start
+    if (length > 0.2 && pointDistance(next, start) < Math.max(used, 0.01)) {
+      points.push(start);
+      break;
+    }
+
+    length += pointDistance(p, next);
+    p = next;
+    points.push(p);
+  }
+
+  return points;
+}
+
+function traceFieldLine(startX, startZ) {
+  return traceLine(TABLE_SPACE, { x: startX, y: 0, z: startZ }).map(p => new THREE.Vector3(p.x, 0.02, p.z));
+}
+
+function traceFieldLine3D(start) {
+  return traceLine(OPEN_SPACE, start).map(p => new THREE.Vector3(p.x, p.y, p.z));
+}
+
+function createFieldLine(startX, startZ) {
+  return createFieldLineMesh(traceFieldLine(startX, startZ));
+}
+
+function createFieldLineMesh(points) {
+  if (points.length < 3) return null;
+
+  const group = new THREE.Group();
+  
+  // Create the curved line
+  const curve = new THREE.CatmullRomCurve3(points);
+  const segments = Math.max(points.length * 2, 100);
+  const geo = new THREE.TubeGeometry(curve, segments, 0.008, 8, false);
+  const mat = new THREE.MeshBasicMaterial({ 
+    color: 0x000000, // Black lines
+    transparent: false,
+    side: THREE.DoubleSide
+  });
+  const lineMesh = new THREE.Mesh(geo, mat);
+  group.add(lineMesh);
+
+  // Add arrowheads along the line to show direction (from N to S), evenly
+  // spaced by distance since the traced steps vary in length
+  const arrowSpacing = 0.5;
+  let travelled = arrowSpacing / 2;
+  for (let i = 1; i < points.length - 1; i++) {
+    travelled += points[i].distanceTo(points[i - 1]);
+    if (travelled < arrowSpacing) continue;
+    travelled = 0;
+    const point = points[i];
+    const nextPoint = points[i + 1];
+    
+    // Calculate direction from current point to next
+    const direction = new THREE.Vector3().subVectors(nextPoint, point).normalize();
+    
+    // Create arrow helper pointing in field direction
+    const arrow = new THREE.ArrowHelper(
+      direction,
+      point,
+      0.1, // arrow length
+      0x000000, // Black color
+      0.05, // head length
+      0.04 // head width
+    );
+    group.add(arrow);
+  }
+
+  return group;
+}
+
+function showCompassNeedles() {
+  clearFieldVisualization();
+  const spacing = 0.4;
+  // Wide enough to reach the neutral points found with the Earth's field on
+  for (let x = -3.2; x <= 3.2; x += spacing) {
+    for (let z = -3.2; z <= 3.2; z += spacing) {
+      const needle = createCompassNeedle(x, z);
+      if (needle) {
+        scene.add(needle);
+        compassNeedles.push(needle);
+      }
+    }
+  }
+}
+
+// Layers of needles above the magnets and below the table
+const NEEDLE_LAYERS_3D = [-0.7, -0.3, 0.65, 1.05];
+
+function showCompassNeedles3D() {
+  clearFieldVisualization();
+  const spacing = 0.5;
+  NEEDLE_LAYERS_3D.forEach(y => {
+    for (let x = -2.5; x <= 2.5; x += spacing) {
+      for (let z = -2.5; z <= 2.5; z += spacing) {
+        const needle = createCompassNeedle3D(x, y, z);
+        if (needle) {
+          scene.add(needle);
+          compassNeedles.push(needle);
+        }
+      }
+    }
+  });
+}
+
+// The table turns see-through in the 3D views, so the field below it shows
+function setTableSeeThrough(seeThrough) {
+  groundMat.transparent = seeThrough;
+  groundMat.opacity = seeThrough ? 0.25 : 1;
+  groundMat.depthWrite = !seeThrough;
+  groundMat.needsUpdate = true;
+}
+
+// Lines are seeded at equal steps of flux, so each carries the same flux and
+// their spacing shows the field strength
+const FIELD_LINE_FLUX = 0.6;
+const FIELD_LINE_FLUX_3D = 0.4; // per line through a surface rather than across a path
+const MAX_LINES_PER_SOURCE = 48;
+const SEED_SAMPLE_STEP = 0.01;
+
+// Sample B·n along a path; `outward` picks the normal facing out of the
+// magnet, otherwise |B·n| is used (for gates every line crosses once)
+function pathFluxSamples(path, outward) {
+  const samples = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i];
+    const b = path[i + 1];
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+    const count = Math.max(1, Math.ceil(length / SEED_SAMPLE_STEP));
+    let nx = (b.z - a.z) / length;
+    let nz = -(b.x - a.x) / length;
+    for (let j = 0; j < count; j++) {
+      const t = (j + 0.5) / count;
+      let x = a.x + (b.x - a.x) * t;
+      let z = a.z + (b.z - a.z) * t;
+      let flux;
+      if (outward) {
+        if (isInsideMagnet(x + nx * 0.003, z + nz * 0.003)) {
+          nx = -nx;
+          nz = -nz;
+        }
+        x += nx * 0.003;
+        z += nz * 0.003;
+        if (isInsideMagnet(x, z)) continue; // covered by a neighbouring magnet
+        const field = calculateFieldAt(x, z);
+        flux = Math.max(0, field.bx * nx + field.bz * nz);
+      } else {
+        const field = calculateFieldAt(x, z);
+        flux = Math.abs(field.bx * nx + field.bz * nz);
+      }
+      samples.push({ x, z, flux: (flux * length) / count });
+    }
+  }
+  return samples;
+}
+
+function fluxSeeds(samples, fluxPerLine = FIELD_LINE_FLUX) {
+  const total = samples.reduce((sum, sample) => sum + sample.flux, 0);
+  const count = Math.min(MAX_LINES_PER_SOURCE, Math.round(total / fluxPerLine));
+  const seeds = [];
+  let cumulative = 0;
+  let next = 0;
+  samples.forEach(sample => {
+    cumulative += sample.flux;
+    while (next < count && cumulative >= ((next + 0.5) * total) / count) {
+      seeds.push(sample);
+      next++;
+    }
+  });
+  return seeds;
+}
+
+function showFieldLines() {
+  clearFieldVisualization();
+  setMagnetsTranslucent(true);
+  fieldLinesShown = 'table';
+
+  const seeds = [];
+  magnets.forEach(magnet => {
+    const type = MAGNET_TYPES[magnet.type];
+    const toWorld = path => path.map(p => magnetPoint(magnet, p));
+    if (type.gate) {
+      seeds.push(...fluxSeeds(pathFluxSamples(toWorld(type.gate(magnet)), false)));
+    } else if (type.outline) {
+      const samples = type.outline(magnet).flatMap(path => pathFluxSamples(toWorld(path), true));
+      seeds.push(...fluxSeeds(samples));
+    }
+  });
+
+  // Field entering across the table edge (the Earth's field, or a magnet's
+  // lines coming back onto the table) gets lines of its own
+  const edge = TABLE_HALF - 0.01;
+  const table = rectangleOutline(edge, edge);
+  const edgeSamples = pathFluxSamples([...table, table[0]], false).filter(sample => {
+    const field = calculateFieldAt(sample.x, sample.z);
+    const inward = Math.abs(sample.x) > Math.abs(sample.z)
+      ? -Math.sign(sample.x) * field.bx
+      : -Math.sign(sample.z) * field.bz;
+    return inward > 0;
+  });
+  seeds.push(...fluxSeeds(edgeSamples));
+
+  seeds.forEach(seed => {
+    const line = createFieldLine(seed.x, seed.z);
+    if (line) {
+      scene.add(line);
+      fieldLines.push(line);
+    }
+  });
+}
+
+// B·n over a magnet's surface patches, as pathFluxSamples does in the plane
+function surfaceFluxSamples(magnet, patches, outward) {
+  const samples = [];
+  patches.forEach(patch => {
+    const offset = outward ? 0.003 : 0;
+    const point = magnetPoint(magnet, { x: patch.x + patch.nx * offset, z: patch.z + patch.nz * offset });
+    const y = magnet.group.position.y + patch.y + patch.ny * offset;
+    if (outward && magnetAt(point.x, point.z, magnets, y)) return; // covered by a neighbouring magnet
+    const normal = toWorldFrame(magnet, patch.nx, patch.nz);
+    const field = calculateFieldAt3D(point.x, y, point.z);
+    const flux = field.bx * normal.x + field.by * patch.ny + field.bz * normal.z;
+    samples.push({ x: point.x, y, z: point.z, flux: (outward ? Math.max(0, flux) : Math.abs(flux)) * patch.area });
+  });
+  return samples;
+}
+
+// Lines leave every part of a magnet's surface, above and below the table
+// too, so they show the field wrapping round it in all directions
+function showFieldLines3D() {
+  clearFieldVisualization();
+  setMagnetsTranslucent(true);
+  fieldLinesShown = 'space';
+
+  const seeds = [];
+  magnets.forEach(magnet => {
+    const type = MAGNET_TYPES[magnet.type];
+    if (type.gateSurface) {
+      seeds.push(...fluxSeeds(surfaceFluxSamples(magnet, type.gateSurface(magnet), false), FIELD_LINE_FLUX_3D));
+    } else if (type.shell) {
+      seeds.push(...fluxSeeds(surfaceFluxSamples(magnet, type.shell(magnet), true), FIELD_LINE_FLUX_3D));
+    }
+  });
+
+  seeds.forEach(seed => {
+    const line = createFieldLineMesh(traceFieldLine3D(seed));
+    if (line) {
+      scene.add(line);
+      fieldLines.push(line);
+    }
+  });
+}
+
+// ---------- Neutral Points & Field Heatmap ----------
+const TABLE_HALF = 4;
+const HEATMAP_RESOLUTION = 128;
+const NEUTRAL_SEARCH_SPACING = 0.1;
+
+let showNeutralPoints = false;
+let showHeatmap = false;
+let neutralMarkers = [];
+
+const heatmapCanvas = document.createElement('canvas');
+heatmapCanvas.width = HEATMAP_RESOLUTION;
+heatmapCanvas.height = HEATMAP_RESOLUTION;
+const heatmapTexture = new THREE.CanvasTexture(heatmapCanvas);
+const heatmap = new THREE.Mesh(
+  new THREE.PlaneGeometry(TABLE_HALF * 2, TABLE_HALF * 2),
+  new THREE.MeshBasicMaterial({ map: heatmapTexture, transparent: true, opacity: 0.65, depthWrite: false })
+);
+heatmap.rotation.x = -Math.PI / 2;
+heatmap.position.y = 0.005;
+heatmap.visible = false;
+scene.add(heatmap);
+
+// |B| on a log scale from 0.01 (blue) to about 30 (red)
+function strengthColor(strength, color) {
+  const t = Math.max(0, Math.min(1, (Math.log10(strength + 1e-6) + 2) / 3.5));
+  return color.setHSL((2 / 3) * (1 - t), 0.85, 0.55);
+}
+
+function drawHeatmap() {
+  const ctx = heatmapCanvas.getContext('2d');
+  const image = ctx.createImageData(HEATMAP_RESOLUTION, HEATMAP_RESOLUTION);
+  const cell = (TABLE_HALF * 2) / HEATMAP_RESOLUTION;
+  const color = new THREE.Color();
+
+  for (let j = 0; j < HEATMAP_RESOLUTION; j++) {
+    const z = -TABLE_HALF + (j + 0.5) * cell;
+    for (let i = 0; i < HEATMAP_RESOLUTION; i++) {
+      const x = -TABLE_HALF + (i + 0.5) * cell;
+      strengthColor(calculateFieldAt(x, z).strength, color);
+      const k = (j * HEATMAP_RESOLUTION + i) * 4;
+      image.data[k] = color.r * 255;
+      image.data[k + 1] = color.g * 255;
+      image.data[k + 2] = color.b * 255;
+      image.data[k + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  heatmapTexture.needsUpdate = true;
+}
+
+// Refine a candidate with Newton's method on (Bx, Bz) = 0
+function refineNeutralPoint(x, z) {
+  const h = 1e-4;
+  for (let i = 0; i < 30; i++) {
+    const f = calculateFieldAt(x, z);
+    const fx1 = calculateFieldAt(x + h, z);
+    const fx0 = calculateFieldAt(x - h, z);
+    const fz1 = calculateFieldAt(x, z + h);
+    const fz0 = calculateFieldAt(x, z - h);
+    const a = (fx1.bx - fx0.bx) / (2 * h);
+    const b = (fz1.bx - fz0.bx) / (2 * h);
+    const c = (fx1.bz - fx0.bz) / (2 * h);
+    const d = (fz1.bz - fz0.bz) / (2 * h);
+    const det = a * d - b * c;
+    if (Math.abs(det) < 1e-12) return null;
+
+    let dx = -(d * f.bx - b * f.bz) / det;
+    let dz = -(a * f.bz - c * f.bx) / det;
+    const step = Math.hypot(dx, dz);
+    if (step > 0.2) {
+      dx *= 0.2 / step;
+      dz *= 0.2 / step;
+    }
+    x += dx;
+    z += dz;
+    if (Math.abs(x) > TABLE_HALF || Math.abs(z) > TABLE_HALF) return null;
+    if (step < 1e-7) break;
+  }
+
+  const { strength } = calculateFieldAt(x, z);
+  return strength < 1e-5 && !isInsideMagnet(x, z) ? { x, z } : null;
+}
+
+// Local minima of |B| on a coarse grid, polished into exact zeros
+function findNeutralPoints() {
+  const n = Math.round((TABLE_HALF * 2) / NEUTRAL_SEARCH_SPACING) + 1;
+  const grid = [];
+  for (let i = 0; i < n; i++) {
+    grid.push([]);
+    for (let j = 0; j < n; j++) {
+      const x = -TABLE_HALF + i * NEUTRAL_SEARCH_SPACING;
+      const z = -TABLE_HALF + j * NEUTRAL_SEARCH_SPACING;
+      grid[i].push(isInsideMagnet(x, z) ? Infinity : calculateFieldAt(x, z).strength);
+    }
+  }
+
+  const points = [];
+  for (let i = 1; i < n - 1; i++) {
+    for (let j = 1; j < n - 1; j++) {
+      const value = grid[i][j];
+      let isMinimum = value < Infinity;
+      for (let di = -1; di <= 1 && isMinimum; di++) {
+        for (let dj = -1; dj <= 1; dj++) {
+          if ((di || dj) && grid[i + di][j + dj] < value) {
+            isMinimum = false;
+            break;
+          }
+        }
+      }
+      if (!isMinimum) continue;
+
+      const point = refineNeutralPoint(-TABLE_HALF + i * NEUTRAL_SEARCH_SPACING, -TABLE_HALF + j * NEUTRAL_SEARCH_SPACING);
+      if (point && !points.some(p => Math.hypot(p.x - point.x, p.z - point.z) < 0.05)) {
+        points.push(point);
+      }
+    }
+  }
+  return points;
+}
+
+function createCoordinateLabel(text) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 256;
+  canvas.height = 64;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(0, 0, 256, 64);
+  ctx.fillStyle = '#7c3aed';
+  ctx.font = 'bold 30px Arial, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 128, 32);
+  const sprite = new THREE.Sprite(
+    new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false })
+  );
+  sprite.scale.set(0.8, 0.2, 1);
+  return sprite;
+}
+
+function clearNeutralPoints() {
+  neutralMarkers.forEach(m => scene.remove(m));
+  neutralMarkers = [];
+}
+
+function markNeutralPoints() {
+  clearNeutralPoints();
+  const points = findNeutralPoints();
+
+  points.forEach(point => {
+    const marker = new THREE.Group();
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.06, 0.1, 24),
+      new THREE.MeshBasicMaterial({ color: 0x7c3aed, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    marker.add(ring);
+
+    const label = createCoordinateLabel(`(${point.x.toFixed(2)}, ${point.z.toFixed(2)})`);
+    label.position.y = 0.3;
+    marker.add(label);
+
+    marker.position.set(point.x, 0.03, point.z);
+    scene.add(marker);
+    neutralMarkers.push(marker);
+  });
+
+  const list = document.getElementById('neutralList');
+  list.innerHTML = points.length > 0
+    ? points.map((p, i) => `<div class="result-row"><span class="result-label">Neutral point ${i + 1}</span>` +
+      `<span class="result-value">(${p.x.toFixed(2)}, ${p.z.toFixed(2)})</span></div>`).join('')
+    : '<div class="result-row"><span class="result-label">No neutral points on the table</span></div>';
+}
+
+function refreshFieldOverlays() {
+  heatmap.visible = showHeatmap;
+  if (showHeatmap) drawHeatmap();
+  sliceMesh.visible = showSlice;
+  if (showSlice) drawSlice();
+
+  document.getElementById('neutralList').style.display = showNeutralPoints ? 'block' : 'none';
+  if (showNeutralPoints) markNeutralPoints();
+  else clearNeutralPoints();
+}
+
+// ---------- Field Slice ----------
+// A plane cutting through the space round the magnets, slid along its normal
+// and tilted up about its own axis, coloured by |B| with arrows showing the
+// part of the field that lies in the plane
+const SLICE_SIZE = 6;
+const SLICE_RESOLUTION = 96;
+const SLICE_ARROWS = 16;
+const SLICE_CENTRE_HEIGHT = 0.15; // through the middle of a magnet lying on the table
+
+const slice = { offset: 0, tilt: 0, turn: 0 };
+let showSlice = false;
+
+const sliceCanvas = document.createElement('canvas');
+sliceCanvas.width = SLICE_RESOLUTION;
+sliceCanvas.height = SLICE_RESOLUTION;
+const sliceTexture = new THREE.CanvasTexture(sliceCanvas);
+const sliceMesh = new THREE.Mesh(
+  new THREE.PlaneGeometry(SLICE_SIZE, SLICE_SIZE),
+  new THREE.MeshBasicMaterial({ map: sliceTexture, transparent: true, opacity: 0.75, side: THREE.DoubleSide, depthWrite: false })
+);
+sliceMesh.visible = false;
+scene.add(sliceMesh);
+
+// Axes u and v in the slice and its normal n; untilted, the slice lies flat
+// with u along the turned Z axis, and tilting swings v up about u
+function sliceAxes() {
+  const turn = (slice.turn * Math.PI) / 180;
+  const tilt = (slice.tilt * Math.PI) / 180;
+  const cosTurn = Math.cos(turn);
+  const sinTurn = Math.sin(turn);
+  const cosTilt = Math.cos(tilt);
+  const sinTilt = Math.sin(tilt);
+  return {
+    u: new THREE.Vector3(sinTurn, 0, cosTurn),
+    v: new THREE.Vector3(cosTilt * cosTurn, sinTilt, -cosTilt * sinTurn),
+    n: new THREE.Vector3(-cosTurn * sinTilt, cosTilt, sinTurn * sinTilt),
+  };
+}
+
+function drawSlice() {
+  const { u, v, n } = sliceAxes();
+  const centre = { x: n.x * slice.offset, y: SLICE_CENTRE_HEIGHT + n.y * slice.offset, z: n.z * slice.offset };
+  sliceMesh.position.set(centre.x, centre.y, centre.z);
+  sliceMesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(u, v, n));
+
+  // Canvas rows run down the slice from its +v edge
+  const pointAt = (i, j, count) => {
+    const a = ((i + 0.5) / count - 0.5) * SLICE_SIZE;
+    const b = (0.5 - (j + 0.5) / count) * SLICE_SIZE;
+    return { x: centre.x + u.x * a + v.x * b, y: centre.y + u.y * a + v.y * b, z: centre.z + u.z * a + v.z * b };
+  };
+
+  const ctx = sliceCanvas.getContext('2d');
+  const image = ctx.createImageData(SLICE_RESOLUTION, SLICE_RESOLUTION);
+  const color = new THREE.Color();
+  for (let j = 0; j < SLICE_RESOLUTION; j++) {
+    for (let i = 0; i < SLICE_RESOLUTION; i++) {
+      const p = pointAt(i, j, SLICE_RESOLUTION);
+      strengthColor(calculateFieldAt3D(p.x, p.y, p.z).strength, color);
+      const k = (j * SLICE_RESOLUTION + i) * 4;
+      image.data[k] = color.r * 255;
+      image.data[k + 1] = color.g * 255;
+      image.data[k + 2] = color.b * 255;
+      image.data[k + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+
+  const cell = SLICE_RESOLUTION / SLICE_ARROWS;
+  const half = cell * 0.35;
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = 1;
+  for (let j = 0; j < SLICE_ARROWS; j++) {
+    for (let i = 0; i < SLICE_ARROWS; i++) {
+      const p = pointAt(i, j, SLICE_ARROWS);
+      if (magnetAt(p.x, p.z, magnets, p.y)) continue;
+      const field = calculateFieldAt3D(p.x, p.y, p.z);
+      const along = field.bx * u.x + field.by * u.y + field.bz * u.z;
+      const across = field.bx * v.x + field.by * v.y + field.bz * v.z;
+      const inPlane = Math.hypot(along, across);
+      // Skip where the field mostly passes straight through the slice
+      if (inPlane < 0.2 * field.strength || inPlane < 1e-3) continue;
+      const dx = along / inPlane;
+      const dy = -across / inPlane;
+      const cx = (i + 0.5) * cell;
+      const cy = (j + 0.5) * cell;
+      ctx.beginPath();
+      ctx.moveTo(cx - dx * half, cy - dy * half);
+      ctx.lineTo(cx + dx * half, cy + dy * half);
+      ctx.lineTo(cx + dx * half * 0.3 - dy * half * 0.4, cy + dy * half * 0.3 + dx * half * 0.4);
+      ctx.moveTo(cx + dx * half, cy + dy * half);
+      ctx.lineTo(cx + dx * half * 0.3 + dy * half * 0.4, cy + dy * half * 0.3 - dx * half * 0.4);
+      ctx.stroke();
+    }
+  }
+  sliceTexture.needsUpdate = true;
+}
+
+// ---------- Iron Filings ----------
+// Filings are sprinkled at random and only move while the paper vibrates
+// after a tap: the induced torque turns each one towards the field line and
+// the field gradient drags it towards the poles, where filings gather.
+// Magnetised filings pull on each other end to end and push apart side by
+// side, so they clump into chains along the field lines.
+const FILING_COUNT = 3000;
+const FILING_AREA = 2.8; // half-width of the sprinkled square
+const FILING_LENGTH = 0.08;
+const TAP_DURATION = 0.6; // seconds of vibration per tap
+const FILING_TURN_RATE = 10;
+const FILING_JITTER = 6;
+const FILING_MOBILITY = 0.25;
+const FILING_GRIP_FIELD = 0.3; // |B| at which friction halves the response
+const FILING_CHAIN_RANGE = 1.5 * FILING_LENGTH;
+const FILING_CHAIN_PULL = 4;
+const FILING_RESAMPLE_SHARE = 10; // a tenth of the filings re-sample the field each step
+
+let filings = null;
+let tapEnergy = 0;
+let lastFilingStep = performance.now();
+let filingSampleCursor = 0;
+const filingDummy = new THREE.Object3D();
+
+// Field direction, grip and gradient direction at each filing (or a range of them)
+function sampleFilingFields(from = 0, to = FILING_COUNT) {
+  const h = 0.01;
+  for (let i = from; i < to; i++) {
+    const x = filings.x[i];
+    const z = filings.z[i];
+    filings.hidden[i] = isInsideMagnet(x, z) ? 1 : 0;
+    if (filings.hidden[i]) continue;
+
+    const field = calculateFieldAt(x, z);
+    filings.fieldAngle[i] = Math.atan2(field.bz, field.bx);
+    filings.grip[i] = field.strength / (field.strength + FILING_GRIP_FIELD);
+
+    const gx = calculateFieldAt(x + h, z).strength - calculateFieldAt(x - h, z).strength;
+    const gz = calculateFieldAt(x, z + h).strength - calculateFieldAt(x, z - h).strength;
+    const g = Math.hypot(gx, gz) || 1;
+    filings.gradX[i] = gx / g;
+    filings.gradZ[i] = gz / g;
+  }
+}
+
+function updateFilingMatrices() {
+  for (let i = 0; i < FILING_COUNT; i++) {
+    filingDummy.position.set(filings.x[i], 0.02, filings.z[i]);
+    // Cylinder axis (local Y) laid flat along the direction (cos θ, sin θ)
+    filingDummy.rotation.set(Math.PI / 2, 0, filings.angle[i] - Math.PI / 2);
+    const scale = filings.hidden[i] ? 0 : 1;
+    filingDummy.scale.set(scale, scale, scale);
+    filingDummy.updateMatrix();
+    filingMesh.setMatrixAt(i, filingDummy.matrix);
+  }
+  filingMesh.instanceMatrix.needsUpdate = true;
+}
+
+function showIronFilings() {
+  clearFieldVisualization();
+  filings = {
+    x: new Float32Array(FILING_COUNT),
+    z: new Float32Array(FILING_COUNT),
+    angle: new Float32Array(FILING_COUNT),
+    fieldAngle: new Float32Array(FILING_COUNT),
+    grip: new Float32Array(FILING_COUNT),
+    gradX: new Float32Array(FILING_COUNT),
+    gradZ: new Float32Array(FILING_COUNT),
+    hidden: new Uint8Array(FILING_COUNT),
+  };
+
+  for (let i = 0; i < FILING_COUNT; i++) {
+    do {
+      filings.x[i] = (Math.random() * 2 - 1) * FILING_AREA;
+      filings.z[i] = (Math.random() * 2 - 1) * FILING_AREA;
+    } while (isInsideMagnet(filings.x[i], filings.z[i]));
+    filings.angle[i] = Math.random() * Math.PI * 2;
+  }
+
+  filingMesh = new THREE.InstancedMesh(
+    new THREE.CylinderGeometry(0.008, 0.008, FILING_LENGTH, 5),
+    new THREE.MeshStandardMaterial({ color: 0x1e293b, metalness: 0.8 }),
+    FILING_COUNT
+  );
+  scene.add(filingMesh);
+  tapEnergy = 0;
+  sampleFilingFields();
+  updateFilingMatrices();
+}
+
+// Filings sorted into square cells one chain range across, so each one only
+// looks for partners in the cells around its own
+const FILING_CELLS = Math.ceil((2 * FILING_AREA) / FILING_CHAIN_RANGE);
+
+function filingCell(x, z) {
+  const column = Math.max(0, Math.min(FILING_CELLS - 1, Math.floor((x + FILING_AREA) / FILING_CHAIN_RANGE)));
+  const row = Math.max(0, Math.min(FILING_CELLS - 1, Math.floor((z + FILING_AREA) / FILING_CHAIN_RANGE)));
+  return row * FILING_CELLS + column;
+}
+
+function filingNeighbours() {
+  const start = new Int32Array(FILING_CELLS * FILING_CELLS + 1);
+  const cell = new Int32Array(FILING_COUNT);
+  for (let i = 0; i < FILING_COUNT; i++) {
+    cell[i] = filingCell(filings.x[i], filings.z[i]);
+    if (!filings.hidden[i]) start[cell[i] + 1]++;
+  }
+  for (let c = 0; c < FILING_CELLS * FILING_CELLS; c++) start[c + 1] += start[c];
+  const next = start.slice(0, -1);
+  const order = new Int32Array(start[start.length - 1]);
+  for (let i = 0; i < FILING_COUNT; i++) {
+    if (!filings.hidden[i]) order[next[cell[i]]++] = i;
+  }
+  return { start, order };
+}
+
+// Two filings magnetised along the field attract when one lies off the
+// other's end and repel when they lie side by side. Filing i is drawn to the
+// spot end to end with each neighbour in line with it, and pushed away from
+// those beside it.
+function chainPull(i, cells) {
+  const x = filings.x[i];
+  const z = filings.z[i];
+  const ax = Math.cos(filings.angle[i]);
+  const az = Math.sin(filings.angle[i]);
+  const home = filingCell(x, z);
+  const column = home % FILING_CELLS;
+  const row = (home - column) / FILING_CELLS;
+  let px = 0;
+  let pz = 0;
+  for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, FILING_CELLS - 1); r++) {
+    for (let c = Math.max(column - 1, 0); c <= Math.min(column + 1, FILING_CELLS - 1); c++) {
+      const cell = r * FILING_CELLS + c;
+      for (let k = cells.start[cell]; k < cells.start[cell + 1]; k++) {
+        const j = cells.order[k];
+        const rx = filings.x[j] - x;
+        const rz = filings.z[j] - z;
+        const distance = Math.sqrt(rx * rx + rz * rz);
+        if (j === i || distance >= FILING_CHAIN_RANGE || distance < 1e-6) continue;
+        const weight = filings.grip[i] * filings.grip[j] * (1 - distance / FILING_CHAIN_RANGE);
+        const along = rx * ax + rz * az;
+        const across = distance * distance - along * along;
+        if (2 * along * along > across) {
+          const end = Math.sign(along) * FILING_LENGTH;
+          px += weight * (rx - end * ax);
+          pz += weight * (rz - end * az);
+        } else {
+          px -= (weight * rx * (FILING_CHAIN_RANGE - distance)) / distance;
+          pz -= (weight * rz * (FILING_CHAIN_RANGE - distance)) / distance;
+        }
+      }
+    }
+  }
+  return { x: px, z: pz };
+}
+
+function tapPaper() {
+  if (!filingMesh) return;
+  sampleFilingFields();
+  tapEnergy = 1;
+}
+
+function stepFilings() {
+  const now = performance.now();
+  const dt = Math.min((now - lastFilingStep) / 1000, 0.05);
+  lastFilingStep = now;
+  if (!filingMesh || tapEnergy <= 0) return;
+
+  tapEnergy = Math.max(0, tapEnergy - dt / TAP_DURATION);
+  const shake = tapEnergy * dt;
+
+  // Filings that have moved feel the field where they now lie
+  const share = Math.ceil(FILING_COUNT / FILING_RESAMPLE_SHARE);
+  sampleFilingFields(filingSampleCursor, Math.min(filingSampleCursor + share, FILING_COUNT));
+  filingSampleCursor = (filingSampleCursor + share) % FILING_COUNT;
+
+  const neighbours = filingNeighbours();
+  for (let i = 0; i < FILING_COUNT; i++) {
+    if (filings.hidden[i]) continue;
+    const grip = filings.grip[i];
+
+    // A filing is an induced dipole, so it lines up with either end along the field
+    filings.angle[i] += shake * FILING_TURN_RATE * grip * Math.sin(2 * (filings.fieldAngle[i] - filings.angle[i])) / 2;
+    filings.angle[i] += shake * FILING_JITTER * (1 - grip) * (Math.random() - 0.5);
+
+    const chain = chainPull(i, neighbours);
+    const x = filings.x[i] + (filings.gradX[i] * FILING_MOBILITY * grip + chain.x * FILING_CHAIN_PULL) * shake;
+    const z = filings.z[i] + (filings.gradZ[i] * FILING_MOBILITY * grip + chain.z * FILING_CHAIN_PULL) * shake;
+    if (!isInsideMagnet(x, z)) {
+      filings.x[i] = x;
+      filings.z[i] = z;
+    }
+  }
+
+  updateFilingMatrices();
+  if (tapEnergy === 0) sampleFilingFields();
+}
+
+// While a magnet is dragged or bodies move, only the compasses keep up;
+// field lines, filings, the traced comparison lines and the overlays are
+// redrawn once everything stops
+let refreshDeferred = false;
+
+function refreshVisualization(moving = false) {
+  const mode = document.getElementById('vizMode').value;
+  inducedStale = true;
+  fieldChanged = true;
+  updateInducedMagnetism();
+  refreshDeferred = moving;
+  if (fieldLinesShown === 'space') {
+    if (!moving) showFieldLines3D();
+  } else if (fieldLinesShown) {
+    if (!moving) showFieldLines();
+  } else if (filingMesh) {
+    // Filings stay where they lie until the paper is tapped again
+    if (!moving) {
+      sampleFilingFields();
+      updateFilingMatrices();
+    }
+  } else if (compassNeedles.length > 0) {
+    clearFieldVisualization();
+    if (mode === 'compass') showCompassNeedles();
+    else if (mode === 'compass3D') showCompassNeedles3D();
+  }
+  if (plottingCompass.visible) {
+    updatePlottingCompass();
+    if (plotComparing && !moving) drawPlot();
+  }
+  if (!moving) refreshFieldOverlays();
+}
+
+function finishDeferredRefresh() {
+  if (refreshDeferred && !dragState) refreshVisualization();
+}
+
+// Redraw at most once per frame while a magnet is being dragged or moves
+let refreshPending = false;
+function scheduleRefresh() {
+  if (refreshPending) return;
+  refreshPending = true;
+  requestAnimationFrame(() => {
+    refreshPending = false;
+    refreshVisualization(true);
+  });
+}
+
+// ---------- Magnet Selection & Dragging ----------
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+const tablePlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+let dragState = null;
+
+function updateMagnetControls() {
+  const list = document.getElementById('magnetSelect');
+  list.innerHTML = '';
+  magnets.forEach((magnet, i) => {
+    const option = document.createElement('option');
+    option.value = i;
+    option.textContent = `${i + 1}. ${MAGNET_TYPES[magnet.type].label}`;
+    list.appendChild(option);
+  });
+  list.value = selectedMagnet ? magnets.indexOf(selectedMagnet) : '';
+
+  selectionRing.visible = !!selectedMagnet;
+  if (!selectedMagnet) return;
+
+  const { position, rotation } = selectedMagnet.group;
+  const degrees = Math.round(((rotation.y * 180) / Math.PI + 360) % 360);
+  selectionRing.position.x = position.x;
+  selectionRing.position.z = position.z;
+  document.getElementById('magnetX').value = position.x;
+  document.getElementById('magnetXVal').textContent = position.x.toFixed(1);
+  document.getElementById('magnetZ').value = position.z;
+  document.getElementById('magnetZVal').textContent = position.z.toFixed(1);
+  document.getElementById('magnetRot').value = degrees;
+  document.getElementById('magnetRotVal').textContent = degrees + '°';
+  document.getElementById('magnetStrength').value = selectedMagnet.strength;
+  document.getElementById('magnetStrengthVal').textContent = selectedMagnet.strength.toFixed(1) + '×';
+  document.getElementById('magnetLength').value = selectedMagnet.length;
+  document.getElementById('magnetLengthVal').textContent = selectedMagnet.length.toFixed(1);
+  document.getElementById('magnetCurrent').value = selectedMagnet.current;
+  document.getElementById('magnetCurrentVal').textContent = selectedMagnet.current.toFixed(1) + ' A';
+  document.getElementById('magnetTurns').value = selectedMagnet.turns;
+  document.getElementById('magnetTurnsVal').textContent = selectedMagnet.turns;
+
+  // Only show the settings that apply to the selected source
+  const type = MAGNET_TYPES[selectedMagnet.type];
+  const show = (id, visible) => {
+    document.getElementById(id).style.display = visible ? '' : 'none';
+  };
+  show('strengthRow', !type.electric && !type.material);
+  show('lengthRow', type.resizable);
+  show('currentRow', type.electric);
+  show('turnsRow', type.hasTurns);
+  show('reverseRow', type.electric);
+  show('motionRow', !type.electric);
+  document.getElementById('releaseMagnet').classList.toggle('active', selectedMagnet.motion === 'released');
+  document.getElementById('suspendMagnet').classList.toggle('active', selectedMagnet.motion === 'suspended');
+}
+
+function selectMagnet(magnet) {
+  selectedMagnet = magnet;
+  updateMagnetControls();
+}
+
+// Replace the table contents with [type, x, z, rotation in degrees] entries
+function setMagnets(layout) {
+  [...magnets].forEach(removeMagnet);
+  layout.forEach(([type, x, z, degrees]) => addMagnet(type, x, z, (degrees * Math.PI) / 180));
+  selectMagnet(magnets[0] || null);
+  refreshVisualization();
+}
+
+function setPointer(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(pointer, camera);
+}
+
+function pickMagnet() {
+  const hits = raycaster.intersectObjects(magnets.map(m => m.group), true);
+  let object = hits.length > 0 ? hits[0].object : null;
+  while (object && !object.userData.magnet) object = object.parent;
+  return object ? object.userData.magnet : null;
+}
+
+function tablePoint() {
+  return raycaster.ray.intersectPlane(tablePlane, new THREE.Vector3());
+}
+
+// Capture phase so the orbit controls are disabled before they see the press
+renderer.domElement.addEventListener('pointerdown', (e) => {
+  setPointer(e);
+  clickStart = { x: e.clientX, y: e.clientY };
+  const compassHit = plottingCompass.visible && pickPlottingCompass();
+  const magnet = compassHit ? null : pickMagnet();
+  const point = (compassHit || magnet) && tablePoint();
+  if (!point) return;
+
+  const object = compassHit ? plottingCompass : magnet.group;
+  if (magnet) {
+    selectMagnet(magnet);
+    stopMagnet(magnet);
+  }
+  dragState = {
+    object,
+    magnet,
+    offsetX: object.position.x - point.x,
+    offsetZ: object.position.z - point.z,
+  };
+  controls.enabled = false;
+  renderer.domElement.setPointerCapture(e.pointerId);
+}, { capture: true });
+
+renderer.domElement.addEventListener('pointermove', (e) => {
+  setPointer(e);
+  if (!dragState) {
+    const hover = (plottingCompass.visible && pickPlottingCompass()) || pickMagnet();
+    renderer.domElement.style.cursor = hover ? 'grab' : '';
+    return;
+  }
+
+  // The compass only moves once the pointer leaves the click distance, so a
+  // press and release on its needle marks the tip instead
+  if (!dragState.magnet && isClick(e)) return;
+
+  const point = tablePoint();
+  if (!point) return;
+  const clamp = v => Math.max(-MAGNET_LIMIT, Math.min(MAGNET_LIMIT, v));
+  dragState.object.position.x = clamp(point.x + dragState.offsetX);
+  dragState.object.position.z = clamp(point.z + dragState.offsetZ);
+  renderer.domElement.style.cursor = 'grabbing';
+  if (dragState.magnet) {
+    updateMagnetControls();
+    scheduleRefresh();
+  } else {
+    updatePlottingCompass();
+  }
+});
+
+renderer.domElement.addEventListener('pointerup', (e) => {
+  const wasClick = isClick(e);
+  clickStart = null;
+  const drag = dragState;
+  if (drag) {
+    dragState = null;
+    controls.enabled = true;
+    renderer.domElement.style.cursor = 'grab';
+  }
+  if (!wasClick || !plottingCompass.visible || (drag && drag.magnet)) return;
+
+  // A click on the bare table marks a point of the plotted line; a click on
+  // the compass marks the end of the needle under it
+  setPointer(e);
+  const point = tablePoint();
+  if (!point) return;
+  if (!drag) {
+    markPlotPoint(point.x, point.z);
+    return;
+  }
+  const end = needleEndNear(point.x, point.z);
+  if (end) markPlotPoint(end.x, end.z);
+});
+
+// ---------- Plotting Compass ----------
+// Practical-style plotting: mark the needle's tip, move the compass so its
+// tail sits on the mark, mark the tip again, and so on.
+const PLOT_NEEDLE_HALF = 0.15;
+const PLOT_SNAP_DISTANCE = 0.1;
+
+const CLICK_DISTANCE = 5; // px a press may wander and still count as a click
+let clickStart = null;
+let plotLines = [[]]; // hand-plotted lines as lists of { x, z }
+let plotComparing = false;
+let plotGroup = new THREE.Group();
+scene.add(plotGroup);
+
+function createPlottingCompass() {
+  const group = new THREE.Group();
+
+  const body = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.2, 0.2, 0.03, 32),
+    new THREE.MeshStandardMaterial({ color: 0xf1f5f9, transparent: true, opacity: 0.85 })
+  );
+  group.add(body);
+
+  const rim = new THREE.Mesh(
+    new THREE.TorusGeometry(0.2, 0.012, 8, 32),
+    new THREE.MeshStandardMaterial({ color: 0x64748b, metalness: 0.5 })
+  );
+  rim.rotation.x = Math.PI / 2;
+  group.add(rim);
+
+  // Needle along local +X with its north half red, as in createCompassNeedle
+  const needle = new THREE.Group();
+  const needleGeo = new THREE.BoxGeometry(PLOT_NEEDLE_HALF, 0.02, 0.03);
+  const north = new THREE.Mesh(needleGeo, new THREE.MeshStandardMaterial({ color: 0xdc2626 }));
+  north.position.x = PLOT_NEEDLE_HALF / 2;
+  needle.add(north);
+  const south = new THREE.Mesh(needleGeo, new THREE.MeshStandardMaterial({ color: 0x2563eb }));
+  south.position.x = -PLOT_NEEDLE_HALF / 2;
+  needle.add(south);
+  needle.position.y = 0.03;
+  group.add(needle);
+  group.userData.needle = needle;
+
+  group.position.set(1.5, 0.02, 0);
+  group.visible = false;
+  return group;
+}
+
+const plottingCompass = createPlottingCompass();
+scene.add(plottingCompass);
+
+function pickPlottingCompass() {
+  return raycaster.intersectObject(plottingCompass, true).length > 0;
+}
+
+// Needle direction at the compass centre, or null in zero field
+function plottingNeedleDirection() {
+  const { x, z } = plottingCompass.position;
+  const field = calculateFieldAt(x, z);
+  if (field.strength < 1e-6) return null;
+  return { x: field.bx / field.strength, z: field.bz / field.strength };
+}
+
+function updatePlottingCompass() {
+  const direction = plottingNeedleDirection();
+  if (direction) {
+    plottingCompass.userData.needle.rotation.y = Math.atan2(-direction.z, direction.x);
+  }
+}
+
+function isClick(e) {
+  return !!clickStart && Math.hypot(e.clientX - clickStart.x, e.clientY - clickStart.y) < CLICK_DISTANCE;
+}
+
+// The needle's tip or tail, if the point lies close to either
+function needleEndNear(x, z) {
+  const direction = plottingNeedleDirection();
+  if (!direction) return null;
+  const { position } = plottingCompass;
+  const ends = [1, -1].map(sign => ({
+    x: position.x + sign * direction.x * PLOT_NEEDLE_HALF,
+    z: position.z + sign * direction.z * PLOT_NEEDLE_HALF,
+  }));
+  return ends.find(end => Math.hypot(x - end.x, z - end.z) < PLOT_SNAP_DISTANCE) || null;
+}
+
+function markPlotPoint(x, z) {
+  // Snap to the needle's tip or tail when the click lands close to either
+  plotLines[plotLines.length - 1].push(needleEndNear(x, z) || { x, z });
+  drawPlot();
+}
+
+function drawPlot() {
+  scene.remove(plotGroup);
+  plotGroup = new THREE.Group();
+  const dotGeo = new THREE.CircleGeometry(0.025, 16);
+  const dotMat = new THREE.MeshBasicMaterial({ color: 0x7c3aed, side: THREE.DoubleSide });
+  const lineMat = new THREE.LineBasicMaterial({ color: 0x7c3aed });
+
+  plotLines.forEach(line => {
+    line.forEach(p => {
+      const dot = new THREE.Mesh(dotGeo, dotMat);
+      dot.rotation.x = -Math.PI / 2;
+      dot.position.set(p.x, 0.025, p.z);
+      plotGroup.add(dot);
+    });
+    if (line.length > 1) {
+      const geo = new THREE.BufferGeometry().setFromPoints(line.map(p => new THREE.Vector3(p.x, 0.025, p.z)));
+      plotGroup.add(new THREE.Line(geo, lineMat));
+    }
+  });
+
+  // Computed lines from each plotted line's first mark, for comparison
+  if (plotComparing) {
+    plotLines.forEach(line => {
+      if (line.length < 2) return;
+      const computed = createFieldLine(line[0].x, line[0].z);
+      if (computed) plotGroup.add(computed);
+    });
+  }
+
+  plotGroup.visible = plottingCompass.visible;
+  scene.add(plotGroup);
+  updatePlotResult();
+}
+
+// Mean distance from each hand-plotted mark to the traced field line
+function plotDeviation(line) {
+  const traced = traceFieldLine(line[0].x, line[0].z);
+  if (traced.length < 2) return null;
+  const total = line.reduce((sum, p) => {
+    let best = Infinity;
+    traced.forEach(q => {
+      best = Math.min(best, Math.hypot(p.x - q.x, p.z - q.z));
+    });
+    return sum + best;
+  }, 0);
+  return total / line.length;
+}
+
+function updatePlotResult() {
+  const result = document.getElementById('plotResult');
+  const marks = plotLines.reduce((n, line) => n + line.length, 0);
+  let html = `<div class="result-row"><span class="result-label">Marks plotted</span><span class="result-value">${marks}</span></div>`;
+  if (plotComparing) {
+    plotLines.forEach((line, i) => {
+      const deviation = line.length > 1 ? plotDeviation(line) : null;
+      if (deviation === null) return;
+      html += `<div class="result-row"><span class="result-label">Line ${i + 1} mean deviation</span>` +
+        `<span class="result-value">${deviation.toFixed(3)}</span></div>`;
+    });
+  }
+  result.innerHTML = html;
+}
+
+function setPlottingMode(active) {
+  plottingCompass.visible = active;
+  plotGroup.visible = active;
+  document.getElementById('plotControls').style.display = active ? 'block' : 'none';
+  if (active) updatePlottingCompass();
+}
+
+// ---------- Forces & Motion ----------
+// Each pole feels F = qB from the field of Earth and the other magnets, and
+// the forces about the magnet's centre give the torque. Released magnets
+// slide and turn against table friction and bump into one another; a
+// suspended magnet only turns, so it swings round to line up with the field.
+const MAGNET_MASS = 0.2;
+const GRAVITY = 9.8;
+const STATIC_FRICTION = 0.4;
+const SLIDING_FRICTION = 0.3;
+const REST_SPEED = 1e-3;
+const REST_SHIFT = 1e-6; // movement over a frame below which a body has come to rest
+const SWING_DAMPING = 0.02; // air drag on a suspended magnet
+const PHYSICS_STEP = 1 / 120;
+const CONTACT_SPACING = 0.1;
+
+let lastPhysicsStep = performance.now();
+let fieldChanged = true; // since the last step, so bodies at rest may start to move
+
+// Poles feel H, not B: a pole pressed into the end of another bar must not
+// pick up that bar's internal 4πM, or the pair would push itself along
+function forceFieldAt(x, z, magnet) {
+  const field = calculateFieldAt(x, z, magnet);
+  magnets.forEach(other => {
+    if (other === magnet || other.type !== 'bar') return;
+    const local = toMagnetFrame(other, x, z);
+    if (!MAGNET_TYPES.bar.contains(local.x, local.z, other)) return;
+    const magnetisation = (4 * Math.PI * BAR_POLE_STRENGTH) / (BAR_WIDTH * BAR_HEIGHT);
+    const world = toWorldFrame(other, 0, magnetisation * other.strength);
+    field.bx -= world.x;
+    field.bz -= world.z;
+  });
+  return field;
+}
+
+function magnetForce(magnet) {
+  const type = MAGNET_TYPES[magnet.type];
+  const { position } = magnet.group;
+  let fx = 0;
+  let fz = 0;
+  let torque = 0;
+  const push = (p, forceX, forceZ) => {
+    fx += forceX;
+    fz += forceZ;
+    torque += (p.z - position.z) * forceX - (p.x - position.x) * forceZ;
+  };
+
+  if (type.poles) {
+    type.poles(magnet).forEach(pole => {
+      const p = magnetPoint(magnet, pole);
+      const field = forceFieldAt(p.x, p.z, magnet);
+      const q = pole.q * magnet.strength;
+      push(p, q * field.bx, q * field.bz);
+    });
+  }
+
+  // Each magnetised cell is a dipole m = MV, pulled towards stronger field,
+  // F = ∇(m·B), and twisted towards it, τ = m × B
+  if (magnet.magnetisation) {
+    const h = 0.01;
+    type.cells(magnet).forEach((cell, i) => {
+      const p = magnetPoint(magnet, cell);
+      const volume = cell.width * cell.depth * cell.height;
+      const { mx, mz } = magnet.magnetisation[i];
+      const m = toWorldFrame(magnet, mx * volume, mz * volume);
+      const energy = (x, z) => {
+        const field = forceFieldAt(x, z, magnet);
+        return m.x * field.bx + m.z * field.bz;
+      };
+      push(
+        p,
+        (energy(p.x + h, p.z) - energy(p.x - h, p.z)) / (2 * h),
+        (energy(p.x, p.z + h) - energy(p.x, p.z - h)) / (2 * h)
+      );
+      const field = forceFieldAt(p.x, p.z, magnet);
+      torque += m.z * field.bx - m.x * field.bz;
+    });
+  }
+  return { fx, fz, torque };
+}
+
+// Distance from the centre to the farthest corner of the footprint
+function footprintRadius(magnet) {
+  return Math.max(...MAGNET_TYPES[magnet.type].footprint(magnet).map(box =>
+    Math.hypot(box.halfWidth, box.halfLength) + Math.hypot(box.x, box.z)
+  ));
+}
+
+// Moment of inertia about the vertical axis, roughly that of a rod of the same reach
+function magnetInertia(magnet) {
+  return (MAGNET_MASS * footprintRadius(magnet) ** 2) / 3;
+}
+
+// Friction grips a magnet at rest until the push exceeds the static limit,
+// then drags against the motion without ever reversing it
+function slideWithFriction(magnet, fx, fz, dt) {
+  const grip = MAGNET_MASS * GRAVITY;
+  const speed = Math.hypot(magnet.vx, magnet.vz);
+  const force = Math.hypot(fx, fz);
+  if (speed < REST_SPEED && force <= STATIC_FRICTION * grip) {
+    magnet.vx = 0;
+    magnet.vz = 0;
+    return;
+  }
+  const dirX = speed < REST_SPEED ? fx / force : magnet.vx / speed;
+  const dirZ = speed < REST_SPEED ? fz / force : magnet.vz / speed;
+  const vx = magnet.vx + ((fx - SLIDING_FRICTION * grip * dirX) / MAGNET_MASS) * dt;
+  const vz = magnet.vz + ((fz - SLIDING_FRICTION * grip * dirZ) / MAGNET_MASS) * dt;
+  const stopped = speed >= REST_SPEED && vx * magnet.vx + vz * magnet.vz <= 0;
+  magnet.vx = stopped ? 0 : vx;
+  magnet.vz = stopped ? 0 : vz;
+}
+
+function turnWithFriction(magnet, torque, dt) {
+  const grip = (MAGNET_MASS * GRAVITY * footprintRadius(magnet)) / 2;
+  const inertia = magnetInertia(magnet);
+  if (Math.abs(magnet.spin) < REST_SPEED && Math.abs(torque) <= STATIC_FRICTION * grip) {
+    magnet.spin = 0;
+    return;
+  }
+  const direction = Math.abs(magnet.spin) < REST_SPEED ? Math.sign(torque) : Math.sign(magnet.spin);
+  const spin = magnet.spin + ((torque - SLIDING_FRICTION * grip * direction) / inertia) * dt;
+  magnet.spin = Math.abs(magnet.spin) >= REST_SPEED && spin * magnet.spin <= 0 ? 0 : spin;
+}
+
+// Footprint boxes in world space, with points round their edges to test for contact
+function footprintBoxes(magnet) {
+  return MAGNET_TYPES[magnet.type].footprint(magnet).map(box => {
+    const angle = box.angle || 0;
+    const axisX = toWorldFrame(magnet, Math.cos(angle), -Math.sin(angle));
+    const axisZ = toWorldFrame(magnet, Math.sin(angle), Math.cos(angle));
+    const centre = magnetPoint(magnet, box);
+    const edge = [];
+    const across = Math.max(1, Math.ceil((2 * box.halfWidth) / CONTACT_SPACING));
+    const along = Math.max(1, Math.ceil((2 * box.halfLength) / CONTACT_SPACING));
+    const addPoint = (u, v) => edge.push({
+      x: centre.x + axisX.x * u + axisZ.x * v,
+      z: centre.z + axisX.z * u + axisZ.z * v,
+    });
+    for (let i = 0; i < across; i++) {
+      const u = (i / across) * 2 * box.halfWidth - box.halfWidth;
+      addPoint(u, -box.halfLength);
+      addPoint(-u, box.halfLength);
+    }
+    for (let i = 0; i < along; i++) {
+      const v = (i / along) * 2 * box.halfLength - box.halfLength;
+      addPoint(box.halfWidth, v);
+      addPoint(-box.halfWidth, -v);
+    }
+    return { ...box, centre, axisX, axisZ, edge };
+  });
+}
+
+// How far a point lies inside a box, and the outward normal to push it out along
+function boxPenetration(point, box) {
+  const dx = point.x - box.centre.x;
+  const dz = point.z - box.centre.z;
+  const u = dx * box.axisX.x + dz * box.axisX.z;
+  const v = dx * box.axisZ.x + dz * box.axisZ.z;
+  const depthU = box.halfWidth - Math.abs(u);
+  const depthV = box.halfLength - Math.abs(v);
+  if (depthU <= 0 || depthV <= 0) return null;
+  const axis = depthU < depthV ? box.axisX : box.axisZ;
+  const sign = Math.sign(depthU < depthV ? u : v) || 1;
+  return { depth: Math.min(depthU, depthV), nx: axis.x * sign, nz: axis.z * sign };
+}
+
+// Deepest contact between two magnets, with the normal pushing a away from b.
+// Where faces lie flat against each other the contact point is the middle of
+// the touching stretch, so the push does not twist them.
+function findContact(a, b) {
+  const hits = [];
+  const boxesA = footprintBoxes(a);
+  const boxesB = footprintBoxes(b);
+  const test = (points, box, flip) => {
+    points.forEach(point => {
+      const hit = boxPenetration(point, box);
+      if (hit) hits.push({ point, depth: hit.depth, nx: flip * hit.nx, nz: flip * hit.nz });
+    });
+  };
+  boxesA.forEach(boxA => boxesB.forEach(boxB => {
+    test(boxA.edge, boxB, 1);
+    test(boxB.edge, boxA, -1);
+  }));
+  if (hits.length === 0) return null;
+
+  const deepest = hits.reduce((best, hit) => (hit.depth > best.depth ? hit : best));
+  const patch = hits.filter(hit =>
+    hit.nx * deepest.nx + hit.nz * deepest.nz > 0.99 && hit.depth > deepest.depth - 0.01
+  );
+  const point = {
+    x: patch.reduce((sum, hit) => sum + hit.point.x, 0) / patch.length,
+    z: patch.reduce((sum, hit) => sum + hit.point.z, 0) / patch.length,
+  };
+  return { ...deepest, point };
+}
+
+function isFree(magnet) {
+  return magnet.motion === 'released' && (!dragState || dragState.magnet !== magnet);
+}
+
+// Separate overlapping magnets and cancel their closing speed with an impulse
+function resolveCollision(a, b) {
+  const invMassA = isFree(a) ? 1 / MAGNET_MASS : 0;
+  const invMassB = isFree(b) ? 1 / MAGNET_MASS : 0;
+  if (invMassA + invMassB === 0) return;
+  const contact = findContact(a, b);
+  if (!contact) return;
+
+  const { point, depth, nx, nz } = contact;
+  const posA = a.group.position;
+  const posB = b.group.position;
+  const shareA = invMassA / (invMassA + invMassB);
+  posA.x += nx * depth * shareA;
+  posA.z += nz * depth * shareA;
+  posB.x -= nx * depth * (1 - shareA);
+  posB.z -= nz * depth * (1 - shareA);
+
+  const invInertiaA = invMassA ? 1 / magnetInertia(a) : 0;
+  const invInertiaB = invMassB ? 1 / magnetInertia(b) : 0;
+  const ra = { x: point.x - posA.x, z: point.z - posA.z };
+  const rb = { x: point.x - posB.x, z: point.z - posB.z };
+  const cross = (r, x, z) => r.z * x - r.x * z;
+  const relX = a.vx + a.spin * ra.z - (b.vx + b.spin * rb.z);
+  const relZ = a.vz - a.spin * ra.x - (b.vz - b.spin * rb.x);
+  const closing = relX * nx + relZ * nz;
+  if (closing >= 0) return;
+
+  // Magnets clack together and stay: no bounce
+  const impulse = -closing / (
+    invMassA + invMassB + invInertiaA * cross(ra, nx, nz) ** 2 + invInertiaB * cross(rb, nx, nz) ** 2
+  );
+
+  // Friction between the touching faces resists sliding along them
+  const tx = -nz;
+  const tz = nx;
+  const sliding = relX * tx + relZ * tz;
+  const limit = SLIDING_FRICTION * impulse;
+  const friction = Math.max(-limit, Math.min(limit, -sliding / (
+    invMassA + invMassB + invInertiaA * cross(ra, tx, tz) ** 2 + invInertiaB * cross(rb, tx, tz) ** 2
+  )));
+
+  const jx = impulse * nx + friction * tx;
+  const jz = impulse * nz + friction * tz;
+  a.vx += jx * invMassA;
+  a.vz += jz * invMassA;
+  a.spin += cross(ra, jx, jz) * invInertiaA;
+  b.vx -= jx * invMassB;
+  b.vz -= jz * invMassB;
+  b.spin -= cross(rb, jx, jz) * invInertiaB;
+}
+
+function stopMagnet(magnet) {
+  magnet.vx = 0;
+  magnet.vz = 0;
+  magnet.spin = 0;
+}
+
+// A thread from above for a suspended magnet
+function updateThread(magnet) {
+  const old = magnet.group.getObjectByName('thread');
+  if (old) magnet.group.remove(old);
+  if (magnet.motion !== 'suspended') return;
+
+  const thread = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0.2, 0), new THREE.Vector3(0, 4, 0)]),
+    new THREE.LineBasicMaterial({ color: 0x475569 })
+  );
+  thread.name = 'thread';
+  thread.raycast = () => {}; // picking the thread should not grab the magnet
+  magnet.group.add(thread);
+}
+
+function setMagnetMotion(magnet, motion) {
+  magnet.motion = magnet.motion === motion ? 'held' : motion;
+  stopMagnet(magnet);
+  updateThread(magnet);
+  // A suspended magnet is a compass: it needs the Earth's field to swing into
+  if (magnet.motion === 'suspended' && earthField.strength === 0) {
+    earthField.strength = EARTH_DEFAULT_STRENGTH;
+    updateEarthControls();
+    refreshVisualization();
+  }
+  updateMagnetControls();
+}
+
+function stepMagnets() {
+  const now = performance.now();
+  const elapsed = Math.min((now - lastPhysicsStep) / 1000, 0.1);
+  lastPhysicsStep = now;
+
+  const moving = magnets.filter(m => m.motion !== 'held' && (!dragState || dragState.magnet !== m));
+  if (moving.length === 0) {
+    finishDeferredRefresh();
+    return;
+  }
+  // Static friction keeps resting bodies still until the field changes
+  const resting = moving.every(m => m.vx === 0 && m.vz === 0 && m.spin === 0);
+  if (resting && !fieldChanged) {
+    finishDeferredRefresh();
+    return;
+  }
+  fieldChanged = false;
+
+  const before = moving.map(m => [m.group.position.x, m.group.position.z, m.group.rotation.y]);
+  const steps = Math.max(1, Math.round(elapsed / PHYSICS_STEP));
+  updateInducedMagnetism();
+  for (let step = 0; step < steps; step++) {
+    moving.forEach(magnet => {
+      const { fx, fz, torque } = magnetForce(magnet);
+      if (magnet.motion === 'suspended') {
+        // Hangs from its centre: free to turn, held in place by the thread
+        magnet.spin += ((torque - SWING_DAMPING * magnet.spin) / magnetInertia(magnet)) * PHYSICS_STEP;
+      } else {
+        slideWithFriction(magnet, fx, fz, PHYSICS_STEP);
+        turnWithFriction(magnet, torque, PHYSICS_STEP);
+      }
+    });
+
+    moving.forEach(magnet => {
+      const { position, rotation } = magnet.group;
+      position.x += magnet.vx * PHYSICS_STEP;
+      position.z += magnet.vz * PHYSICS_STEP;
+      rotation.y += magnet.spin * PHYSICS_STEP;
+    });
+
+    // Only magnets on the table collide; the thread holds a suspended one in place
+    const onTable = magnets.filter(m => m.motion !== 'suspended');
+    onTable.forEach((a, i) => onTable.slice(i + 1).forEach(b => resolveCollision(a, b)));
+
+    // The edge of the paper stops a sliding magnet
+    moving.forEach(magnet => {
+      const { position } = magnet.group;
+      if (Math.abs(position.x) > MAGNET_LIMIT) {
+        position.x = Math.sign(position.x) * MAGNET_LIMIT;
+        magnet.vx = 0;
+      }
+      if (Math.abs(position.z) > MAGNET_LIMIT) {
+        position.z = Math.sign(position.z) * MAGNET_LIMIT;
+        magnet.vz = 0;
+      }
+    });
+  }
+
+  // Any movement changes the field the iron sits in. A body pressed against
+  // another that has not moved all frame is at rest there.
+  moving.forEach((m, i) => {
+    const [x, z, angle] = before[i];
+    const moved = Math.hypot(m.group.position.x - x, m.group.position.z - z) + Math.abs(m.group.rotation.y - angle);
+    if (moved > 0) inducedStale = true;
+    if (moved < REST_SHIFT && m.motion === 'released') {
+      m.vx = 0;
+      m.vz = 0;
+      m.spin = 0;
+    }
+  });
+
+  // Only redraw the field when something has visibly moved
+  const shifted = moving.filter((m, i) => {
+    const [x, z, angle] = before[i];
+    const moved = Math.hypot(m.group.position.x - x, m.group.position.z - z);
+    return moved > 1e-3 || Math.abs(m.group.rotation.y - angle) > 1e-3;
+  });
+  if (shifted.length === 0) {
+    finishDeferredRefresh();
+    return;
+  }
+  if (shifted.includes(selectedMagnet)) updateMagnetControls();
+  scheduleRefresh();
+}
+
+// ---------- UI Controls ----------
+
+document.getElementById('showField').addEventListener('click', () => {
+  const mode = document.getElementById('vizMode').value;
+  if (mode === 'ironFilings') showIronFilings();
+  else if (mode === 'compass') showCompassNeedles();
+  else if (mode === 'fieldLines') showFieldLines();
+  else if (mode === 'fieldLines3D') showFieldLines3D();
+  else if (mode === 'compass3D') showCompassNeedles3D();
+  else if (mode === 'plotting') setPlottingMode(true);
+});
+
+// Auto-show compass needles on load (default view)
+window.addEventListener('load', () => {
+  setTimeout(() => {
+    showCompassNeedles();
+  }, 500);
+});
+
+document.getElementById('clearField').addEventListener('click', () => {
+  clearFieldVisualization();
+});
+
+document.getElementById('neutralToggle').addEventListener('click', (e) => {
+  showNeutralPoints = !showNeutralPoints;
+  e.target.classList.toggle('active', showNeutralPoints);
+  refreshFieldOverlays();
+});
+
+document.getElementById('heatmapToggle').addEventListener('click', (e) => {
+  showHeatmap = !showHeatmap;
+  e.target.classList.toggle('active', showHeatmap);
+  refreshFieldOverlays();
+});
+
+document.getElementById('vizMode').addEventListener('change', (e) => {
+  clearFieldVisualization();
+  setPlottingMode(e.target.value === 'plotting');
+  document.getElementById('filingControls').style.display = e.target.value === 'ironFilings' ? 'block' : 'none';
+
+  const spaceView = e.target.value.endsWith('3D');
+  document.getElementById('sliceControls').style.display = spaceView ? 'block' : 'none';
+  setTableSeeThrough(spaceView);
+  if (!spaceView && showSlice) {
+    showSlice = false;
+    document.getElementById('sliceToggle').classList.remove('active');
+    refreshFieldOverlays();
+  }
+});
+
+document.getElementById('sliceToggle').addEventListener('click', (e) => {
+  showSlice = !showSlice;
+  e.target.classList.toggle('active', showSlice);
+  refreshFieldOverlays();
+});
+
+function setSliceProperty(key, value) {
+  slice[key] = value;
+  document.getElementById('sliceOffsetVal').textContent = slice.offset.toFixed(2);
+  document.getElementById('sliceTiltVal').textContent = `${slice.tilt}°`;
+  document.getElementById('sliceTurnVal').textContent = `${slice.turn}°`;
+  if (showSlice) drawSlice();
+}
+
+document.getElementById('sliceOffset').addEventListener('input', (e) => {
+  setSliceProperty('offset', parseFloat(e.target.value));
+});
+
+document.getElementById('sliceTilt').addEventListener('input', (e) => {
+  setSliceProperty('tilt', parseFloat(e.target.value));
+});
+
+document.getElementById('sliceTurn').addEventListener('input', (e) => {
+  setSliceProperty('turn', parseFloat(e.target.value));
+});
+
+document.getElementById('tapPaper').addEventListener('click', tapPaper);
+
+// Plotting compass
+document.getElementById('plotNewLine').addEventListener('click', () => {
+  if (plotLines[plotLines.length - 1].length > 0) plotLines.push([]);
+  drawPlot();
+});
+
+document.getElementById('plotCompare').addEventListener('click', (e) => {
+  plotComparing = !plotComparing;
+  e.target.classList.toggle('active', plotComparing);
+  drawPlot();
+});
+
+document.getElementById('plotClear').addEventListener('click', () => {
+  plotLines = [[]];
+  drawPlot();
+});
+
+// Magnets on the table
+[
+  'bar', 'horseshoe', 'ring', 'wire', 'coil', 'solenoid',
+  'ironBar', 'steelBar', 'ironRing', 'copper', 'wood', 'plastic',
+].forEach(type => {
+  const id = 'add' + type[0].toUpperCase() + type.slice(1);
+  document.getElementById(id).addEventListener('click', () => {
+    // Stagger new magnets so they don't land on top of each other
+    const offset = ((magnets.length % 5) - 2) * 1.2;
+    selectMagnet(addMagnet(type, offset, offset / 2));
+    refreshVisualization();
+  });
+});
+
+document.getElementById('removeMagnet').addEventListener('click', () => {
+  if (!selectedMagnet) return;
+  removeMagnet(selectedMagnet);
+  updateMagnetControls();
+  refreshVisualization();
+});
+
+document.getElementById('magnetSelect').addEventListener('change', (e) => {
+  selectMagnet(magnets[parseInt(e.target.value)] || null);
+});
+
+// Two bar magnets end to end along Z
+document.getElementById('presetUnlike').addEventListener('click', () => {
+  setMagnets([['bar', 0, -1.2, 0], ['bar', 0, 1.2, 0]]);
+});
+
+document.getElementById('presetLike').addEventListener('click', () => {
+  setMagnets([['bar', 0, -1.2, 0], ['bar', 0, 1.2, 180]]);
+});
+
+// Selected magnet position controls
+document.getElementById('magnetX').addEventListener('input', (e) => {
+  if (!selectedMagnet) return;
+  selectedMagnet.group.position.x = parseFloat(e.target.value);
+  updateMagnetControls();
+  refreshVisualization();
+});
+
+document.getElementById('magnetZ').addEventListener('input', (e) => {
+  if (!selectedMagnet) return;
+  selectedMagnet.group.position.z = parseFloat(e.target.value);
+  updateMagnetControls();
+  refreshVisualization();
+});
 
 document.getElementById('magnetRot').addEventListener('input', (e) => {
-  magnetGroup.rotation.y = (parseFloat(e.target.value) * Math.PI) / 180;
-  document.getElementById('magnetRotVal').textContent = e.target.value + '°';
+  if (!selectedMagnet) return;
+  selectedMagnet.group.rotation.y = (parseFloat(e.target.value) * Math.PI) / 180;
+  updateMagnetControls();
+  refreshVisualization();
+});
+
+document.getElementById('magnetStrength').addEventListener('input', (e) => {
+  if (!selectedMagnet) return;
+  selectedMagnet.strength = parseFloat(e.target.value);
+  updateMagnetControls();
+  refreshVisualization();
+});
+
+// Settings that change the magnet's mesh or current path rebuild it
+function setMagnetProperty(key, value) {
+  if (!selectedMagnet) return;
+  selectedMagnet[key] = value;
+  buildMagnet(selectedMagnet);
+  updateMagnetControls();
+  refreshVisualization();
+}
+
+document.getElementById('magnetLength').addEventListener('input', (e) => {
+  setMagnetProperty('length', parseFloat(e.target.value));
+});
+
+document.getElementById('magnetCurrent').addEventListener('input', (e) => {
+  setMagnetProperty('current', parseFloat(e.target.value));
+});
+
+document.getElementById('magnetTurns').addEventListener('input', (e) => {
+  setMagnetProperty('turns', parseInt(e.target.value));
+});
+
+document.getElementById('reverseCurrent').addEventListener('click', () => {
+  if (selectedMagnet) setMagnetProperty('direction', -selectedMagnet.direction);
+});
+
+document.getElementById('releaseMagnet').addEventListener('click', () => {
+  if (selectedMagnet) setMagnetMotion(selectedMagnet, 'released');
+});
+
+document.getElementById('suspendMagnet').addEventListener('click', () => {
+  if (selectedMagnet) setMagnetMotion(selectedMagnet, 'suspended');
+});
+
+// Earth's field
+function updateEarthControls() {
+  document.getElementById('earthStrength').value = earthField.strength;
+  document.getElementById('earthStrengthVal').textContent = earthField.strength > 0
+    ? earthField.strength.toFixed(2)
+    : 'Off';
+  document.getElementById('earthBearing').value = earthField.bearing;
+  document.getElementById('earthBearingVal').textContent = earthField.bearing + '°';
+  updateEarthIndicator();
+}
+
+document.getElementById('earthStrength').addEventListener('input', (e) => {
+  earthField.strength = parseFloat(e.target.value);
+  updateEarthControls();
   refreshVisualization();
 });
 
+document.getElementById('earthBearing').addEventListener('input', (e) => {
+  earthField.bearing = parseFloat(e.target.value);
+  updateEarthControls();
+  refreshVisualization();
+});
+
+// Classic plotting positions: neutral points on the equatorial line (N to
+// north) or on the axis (S to north)
+function alignSelectedMagnet(northPoleToNorth) {
+  if (!selectedMagnet) return;
+  if (earthField.strength === 0) earthField.strength = EARTH_DEFAULT_STRENGTH;
+  selectedMagnet.group.rotation.y = northRotation() + (northPoleToNorth ? 0 : Math.PI);
+  updateEarthControls();
+  updateMagnetControls();
+  refreshVisualization();
+}
+
+document.getElementById('northToNorth').addEventListener('click', () => alignSelectedMagnet(true));
+document.getElementById('southToNorth').addEventListener('click', () => alignSelectedMagnet(false));
+
+updateMagnetControls();
+updateEarthControls();
+
 // Reset camera view button with smooth transition
 document.getElementById('resetView').addEventListener('click', () => {
   // Store current camera position and target
@@ -471,6 +3212,8 @@ window.addEventListener('resize', () => {
 // Animation loop
 function animate() {
   requestAnimationFrame(animate);
+  stepMagnets();
+  stepFilings();
   
   // Handle camera animation
   if (isAnimatingCamera) {
@@ -1,19 +1,22 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
 // ============ Canvas Setup ============
 const canvas = document.getElementById('waveCanvas');
 const ctx = canvas.getContext('2d');
+canvas.width = window.innerWidth;
+canvas.height = window.innerHeight;
 
 function resizeCanvas() {
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight;
+  resizeFieldLayer();
   // Recreate wave field with new dimensions
-  waveField = new WaveField(canvas.width, canvas.height);
-  // Update point sources to center if they were at 0,0
-  if (state.pointSources.length > 0 && state.pointSources[0].x === 0 && state.pointSources[0].y === 0) {
-    state.pointSources[0].x = canvas.width * 0.5;
-    state.pointSources[0].y = canvas.height * 0.5;
-  }
+  waveField = createWaveField();
+  state.depthMap = createDepthMap(canvas.width, canvas.height, state.depthMap);
+  markMediumChanged();
+  resizeSurfaceView();
 }
-resizeCanvas();
 window.addEventListener('resize', resizeCanvas);
 
 // ============ Wave Simulation State ============
@@ -22,96 +25,820 @@ const state = {
   amplitude: 15,
   waveSpeed: 100,
   isPaused: false,
-  waveMode: 'plane', // 'plane', 'point', 'twoPoints'
   demonstrations: {
     reflection: false,
     refraction: false,
     diffraction: false,
-    interference: false
+    interference: false,
+    parabolicMirror: false,
+    lens: false,
+    slits: false,
+    doppler: false,
+    phasedArray: false
   },
   barriers: [],
   shallowRegions: [],
   gaps: [],
-  pointSources: [{ x: canvas.width * 0.5, y: canvas.height * 0.5, time: 0 }],
+  // { type: 'point' | 'line', x, y, angle, length, frequency, amplitude, phase, time, motion }
+  sources: [],
+  // Each tank edge either absorbs waves (a sloping "beach") or reflects them
+  edges: { left: 'absorb', right: 'absorb', top: 'absorb', bottom: 'absorb' },
+  // 'select', 'barrier', 'shallow', 'gap', 'ruler', 'listener', 'probe', 'section',
+  // or a depth brush: 'shallower', 'deeper', 'smooth'
+  editTool: 'select',
+  // { type: 'barrier' | 'shallow' | 'gap' | 'detector' | 'listener' | 'source' | 'probe' | 'section', item }
+  selection: null,
+  grating: { count: 2, width: 20, spacing: 80, barrier: null },
+  detector: null, // { x1, y1, x2, y2, intensity }
+  strobe: { enabled: false, frequency: 3.0, nextFlash: 0 },
+  ruler: null, // { x1, y1, x2, y2 }
+  rulerCrests: 1, // Wavelengths spanned by the ruler
+  sourceSpeed: 60, // px/s for moving sources
+  arraySteer: 0, // Beam angle of the phased array, degrees
+  nodalLines: false, // Overlay of two-source interference loci
+  resolutionScale: 1, // Simulation cells per CELL_SIZE pixels
+  view: 'colour', // 'colour', 'shadow' (light projected through the water) or '3d'
+  probes: [], // { x, y, history: [{ time, value }] }
+  section: null, // { x1, y1, x2, y2 } cross-section line
+  depthMap: null, // Painted water depth, see createDepthMap()
+  brush: { size: 50, strength: 0.5 },
+  hover: null, // { x, y } pointer position over the tank
+  listeners: [], // { x, y, lastValue, crossings }
   time: 0
 };
 
 // ============ Wave Physics ============
+const CELL_SIZE = 4; // Pixels per simulation cell
+const DEFAULT_SHALLOW_DEPTH = 0.36; // Relative depth of shallow regions, so v = 0.6 v₀
+const MIN_DEPTH = 0.2; // Shallower water needs more cells per wavelength than the grid has
+const BARRIER_THICKNESS = 8; // Pixels
+const COURANT_LIMIT = 0.5; // Keeps the explicit scheme stable (must stay below 1/√2)
+const BEACH_WIDTH = 64; // Pixels of damping layer along an absorbing edge
+const BEACH_STRENGTH = 12; // Peak damping in units of wave speed / beach width
+
+// Finite-difference solver for the 2D wave equation ∂²u/∂t² = v²∇²u.
+// Each cell has its own wave speed and can be marked as a wall, so reflection,
+// diffraction and refraction all fall out of the same update rule.
 class WaveField {
-  constructor(width, height) {
+  constructor(width, height, cellSize = CELL_SIZE) {
     this.width = width;
     this.height = height;
-    this.field = new Array(width * height).fill(0);
+    this.cellSize = cellSize;
+    this.cols = Math.max(3, Math.ceil(width / cellSize));
+    this.rows = Math.max(3, Math.ceil(height / cellSize));
+    const size = this.cols * this.rows;
+    this.current = new Float32Array(size);
+    this.previous = new Float32Array(size);
+    this.next = new Float32Array(size);
+    this.speed = new Float32Array(size);
+    this.walls = new Uint8Array(size);
+    this.absorption = new Float32Array(size); // Extra damping per cell (1/s)
+    this.maxSpeed = 0;
+    this.damping = 0.15; // Per second, so energy does not build up forever
+  }
+
+  cellIndex(x, y) {
+    const col = Math.floor(x / this.cellSize);
+    const row = Math.floor(y / this.cellSize);
+    if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) return -1;
+    return row * this.cols + col;
   }
 
   getValue(x, y) {
-    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return 0;
-    return this.field[Math.floor(y) * this.width + Math.floor(x)];
+    const i = this.cellIndex(x, y);
+    return i < 0 ? 0 : this.current[i];
+  }
+
+  // The same value, for samplers that run on every substep
+  readValue(x, y) {
+    return this.getValue(x, y);
   }
 
   setValue(x, y, value) {
-    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
-    this.field[Math.floor(y) * this.width + Math.floor(x)] = value;
+    const i = this.cellIndex(x, y);
+    if (i < 0 || this.walls[i]) return;
+    this.current[i] = value;
+  }
+
+  getSpeed(x, y) {
+    const i = this.cellIndex(x, y);
+    return i < 0 ? 0 : this.speed[i];
+  }
+
+  isWall(x, y) {
+    const i = this.cellIndex(x, y);
+    return i >= 0 && this.walls[i] === 1;
+  }
+
+  // ----- Medium -----
+  resetMedium(speed) {
+    this.speed.fill(speed);
+    this.walls.fill(0);
+    this.absorption.fill(0);
+    this.maxSpeed = speed;
+  }
+
+  // Sponge layer: damping rises quadratically towards the edge so waves fade
+  // out gradually instead of bouncing off a sudden change in the medium.
+  addBeach(edge, width, speed) {
+    const cells = Math.max(1, Math.round(width / this.cellSize));
+    const peak = BEACH_STRENGTH * speed / width;
+    for (let d = 0; d < cells; d++) {
+      const depth = (cells - d) / cells;
+      const sigma = peak * depth * depth;
+      if (edge === 'left' || edge === 'right') {
+        const col = edge === 'left' ? d : this.cols - 1 - d;
+        if (col < 0 || col >= this.cols) continue;
+        for (let row = 0; row < this.rows; row++) {
+          const i = row * this.cols + col;
+          this.absorption[i] = Math.max(this.absorption[i], sigma);
+        }
+      } else {
+        const row = edge === 'top' ? d : this.rows - 1 - d;
+        if (row < 0 || row >= this.rows) continue;
+        for (let col = 0; col < this.cols; col++) {
+          const i = row * this.cols + col;
+          this.absorption[i] = Math.max(this.absorption[i], sigma);
+        }
+      }
+    }
+  }
+
+  // Shallow-water waves travel at v = v₀√(depth); depthAt(x, y) gives the
+  // depth relative to the deep water where the speed is v₀
+  applyDepth(depthAt, speed) {
+    let i = 0;
+    for (let row = 0; row < this.rows; row++) {
+      const y = (row + 0.5) * this.cellSize;
+      for (let col = 0; col < this.cols; col++, i++) {
+        this.speed[i] = speed * Math.sqrt(depthAt((col + 0.5) * this.cellSize, y));
+      }
+    }
+  }
+
+  // Sets the speed of every cell in the bounding box whose centre passes inside(x, y)
+  fillSpeedRegion(minX, minY, maxX, maxY, speed, inside) {
+    const c0 = Math.max(0, Math.floor(minX / this.cellSize));
+    const r0 = Math.max(0, Math.floor(minY / this.cellSize));
+    const c1 = Math.min(this.cols, Math.ceil(maxX / this.cellSize));
+    const r1 = Math.min(this.rows, Math.ceil(maxY / this.cellSize));
+    for (let r = r0; r < r1; r++) {
+      for (let c = c0; c < c1; c++) {
+        if (inside((c + 0.5) * this.cellSize, (r + 0.5) * this.cellSize)) {
+          this.speed[r * this.cols + c] = speed;
+        }
+      }
+    }
+    this.maxSpeed = Math.max(this.maxSpeed, speed);
+  }
+
+  addWallSegment(x1, y1, x2, y2, thickness = BARRIER_THICKNESS) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const samples = Math.max(1, Math.ceil(length / (this.cellSize * 0.5)));
+    const radius = Math.max(thickness / 2, this.cellSize * 0.75);
+    const reach = Math.ceil(radius / this.cellSize);
+    for (let s = 0; s <= samples; s++) {
+      const t = s / samples;
+      const px = x1 + (x2 - x1) * t;
+      const py = y1 + (y2 - y1) * t;
+      const col = Math.floor(px / this.cellSize);
+      const row = Math.floor(py / this.cellSize);
+      for (let dr = -reach; dr <= reach; dr++) {
+        for (let dc = -reach; dc <= reach; dc++) {
+          const c = col + dc;
+          const r = row + dr;
+          if (c < 0 || c >= this.cols || r < 0 || r >= this.rows) continue;
+          const cx = (c + 0.5) * this.cellSize;
+          const cy = (r + 0.5) * this.cellSize;
+          if (Math.hypot(cx - px, cy - py) <= radius) {
+            this.walls[r * this.cols + c] = 1;
+          }
+        }
+      }
+    }
   }
 
-  addWave(x, y, amplitude, phase) {
-    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
-    this.field[Math.floor(y) * this.width + Math.floor(x)] += amplitude * Math.sin(phase);
+  // ----- Time stepping -----
+  // Advances the field by dt seconds, splitting it into stable substeps.
+  // drive(t) is called before every substep so sources can set their cells,
+  // and afterStep(t, subDt) once each substep is done.
+  // Damping uses the centred scheme for u_tt + σu_t = v²∇²u.
+  step(dt, drive, afterStep) {
+    const h = this.cellSize;
+    const maxDt = COURANT_LIMIT * h / Math.max(this.maxSpeed, 1);
+    const substeps = Math.max(1, Math.ceil(dt / maxDt));
+    const subDt = dt / substeps;
+    const dtOverH = subDt / h;
+    const halfDt = subDt / 2;
+    const cols = this.cols;
+    const rows = this.rows;
+
+    for (let s = 0; s < substeps; s++) {
+      if (drive) drive((s + 1) * subDt - dt);
+
+      const cur = this.current;
+      const prev = this.previous;
+      const next = this.next;
+      const speed = this.speed;
+      const walls = this.walls;
+      const absorption = this.absorption;
+
+      for (let row = 1; row < rows - 1; row++) {
+        let i = row * cols + 1;
+        for (let col = 1; col < cols - 1; col++, i++) {
+          if (walls[i]) {
+            next[i] = 0;
+            continue;
+          }
+          const laplacian = cur[i - 1] + cur[i + 1] + cur[i - cols] + cur[i + cols] - 4 * cur[i];
+          const courant = speed[i] * dtOverH;
+          const loss = (this.damping + absorption[i]) * halfDt;
+          next[i] = (2 * cur[i] - (1 - loss) * prev[i] + courant * courant * laplacian) / (1 + loss);
+        }
+      }
+
+      // Rotate buffers: next becomes current, current becomes previous
+      this.previous = cur;
+      this.current = next;
+      this.next = prev;
+      if (afterStep) afterStep((s + 1) * subDt - dt, subDt);
+    }
+  }
+
+  // Writes previous + (current − previous)·t into target, for sampling the
+  // field part way through the last substep
+  blend(t, target) {
+    const previous = this.previous;
+    const current = this.current;
+    for (let i = 0; i < current.length; i++) {
+      target[i] = previous[i] + (current[i] - previous[i]) * t;
+    }
   }
 
   clear() {
-    this.field.fill(0);
+    this.current.fill(0);
+    this.previous.fill(0);
+    this.next.fill(0);
+  }
+}
+
+// ============ Field Rendering ============
+// The field is drawn on its own canvas under the overlay canvas. WebGL2 runs
+// both the solver and the colour mapping in fragment shaders; without it a
+// worker colours the field on an OffscreenCanvas, and as a last resort the
+// main thread does it.
+const fieldCanvas = document.getElementById('fieldCanvas');
+
+const FULLSCREEN_VERTEX_SHADER = `#version 300 es
+void main() {
+  vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const STEP_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform sampler2D current;
+uniform sampler2D previous;
+uniform sampler2D medium; // r: speed, g: absorption, b: wall
+uniform float dtOverH;
+uniform float halfDt;
+uniform float damping;
+out float next;
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  ivec2 size = textureSize(current, 0);
+  vec4 m = texelFetch(medium, p, 0);
+  if (p.x == 0 || p.y == 0 || p.x == size.x - 1 || p.y == size.y - 1 || m.b > 0.5) {
+    next = 0.0;
+    return;
+  }
+  float u = texelFetch(current, p, 0).r;
+  float laplacian = texelFetch(current, p + ivec2(1, 0), 0).r + texelFetch(current, p - ivec2(1, 0), 0).r
+    + texelFetch(current, p + ivec2(0, 1), 0).r + texelFetch(current, p - ivec2(0, 1), 0).r - 4.0 * u;
+  float courant = m.r * dtOverH;
+  float loss = (damping + m.g) * halfDt;
+  next = (2.0 * u - (1.0 - loss) * texelFetch(previous, p, 0).r + courant * courant * laplacian) / (1.0 + loss);
+}`;
+
+// Source cells are drawn as single-pixel points carrying their value
+const POINTS_VERTEX_SHADER = `#version 300 es
+in vec3 cell; // col, row, value
+uniform vec2 gridSize;
+out float value;
+void main() {
+  value = cell.z;
+  gl_Position = vec4((cell.xy + 0.5) / gridSize * 2.0 - 1.0, 0.0, 1.0);
+  gl_PointSize = 1.0;
+}`;
+
+const POINTS_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+in float value;
+out float outValue;
+void main() {
+  outValue = value;
+}`;
+
+const BLEND_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform sampler2D current;
+uniform sampler2D previous;
+uniform float t;
+out float value;
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  value = mix(texelFetch(previous, p, 0).r, texelFetch(current, p, 0).r, t);
+}`;
+
+// Brightness of the shadow projection per unit of ∇²u / maxAmplitude (1/px²)
+const SHADOW_GAIN = 60;
+
+// Same colour scale as fieldColor(), or fieldShadow() when shadowGain > 0
+const DISPLAY_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform sampler2D field;
+uniform float cellSize;
+uniform float canvasHeight;
+uniform float maxAmplitude;
+uniform float shadowGain;
+out vec4 color;
+void main() {
+  vec2 pixel = vec2(gl_FragCoord.x, canvasHeight - gl_FragCoord.y);
+  ivec2 last = textureSize(field, 0) - 1;
+  ivec2 cell = clamp(ivec2(floor(pixel / cellSize)), ivec2(0), last);
+  if (shadowGain > 0.0) {
+    float u = texelFetch(field, cell, 0).r;
+    float laplacian = (texelFetch(field, clamp(cell + ivec2(1, 0), ivec2(0), last), 0).r
+      + texelFetch(field, clamp(cell - ivec2(1, 0), ivec2(0), last), 0).r
+      + texelFetch(field, clamp(cell + ivec2(0, 1), ivec2(0), last), 0).r
+      + texelFetch(field, clamp(cell - ivec2(0, 1), ivec2(0), last), 0).r - 4.0 * u) / (cellSize * cellSize);
+    float brightness = 0.55 - 0.45 * tanh(laplacian * shadowGain / maxAmplitude);
+    color = vec4(mix(vec3(40.0, 40.0, 50.0), vec3(255.0, 250.0, 235.0), brightness) / 255.0, 1.0);
+    return;
+  }
+  float normalized = clamp(texelFetch(field, cell, 0).r / maxAmplitude, -1.0, 1.0);
+  float a = abs(normalized);
+  float hue = normalized > 0.0 ? 200.0 + a * 30.0 : 260.0 - a * 30.0;
+  float s = min(100.0, a * 70.0 + 50.0) / 100.0;
+  float l = (25.0 + a * 50.0) / 100.0;
+  float h6 = mod(hue, 360.0) / 60.0;
+  float c = (1.0 - abs(2.0 * l - 1.0)) * s;
+  float x = c * (1.0 - abs(mod(h6, 2.0) - 1.0));
+  vec3 rgb = h6 < 1.0 ? vec3(c, x, 0.0) : h6 < 2.0 ? vec3(x, c, 0.0) : h6 < 3.0 ? vec3(0.0, c, x)
+    : h6 < 4.0 ? vec3(0.0, x, c) : h6 < 5.0 ? vec3(x, 0.0, c) : vec3(c, 0.0, x);
+  color = vec4(rgb + (l - c / 2.0), 1.0);
+}`;
+
+function compileProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error('Shader failed to compile: ' + gl.getShaderInfoLog(shader));
+    }
+    gl.attachShader(program, shader);
+  });
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error('Shader program failed to link: ' + gl.getProgramInfoLog(program));
   }
+  const uniforms = {};
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < count; i++) {
+    const name = gl.getActiveUniform(program, i).name;
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, uniforms };
+}
+
+// Returns null when the browser cannot render to float textures. A throwaway
+// canvas is probed first so a failed attempt leaves fieldCanvas free for
+// the worker fallback.
+function initWebGL() {
+  const probe = document.createElement('canvas').getContext('webgl2');
+  if (!probe || !probe.getExtension('EXT_color_buffer_float')) return null;
+  const gl = fieldCanvas.getContext('webgl2', { antialias: false, depth: false });
+  if (!gl || !gl.getExtension('EXT_color_buffer_float')) return null;
+  try {
+    const programs = {
+      step: compileProgram(gl, FULLSCREEN_VERTEX_SHADER, STEP_FRAGMENT_SHADER),
+      points: compileProgram(gl, POINTS_VERTEX_SHADER, POINTS_FRAGMENT_SHADER),
+      blend: compileProgram(gl, FULLSCREEN_VERTEX_SHADER, BLEND_FRAGMENT_SHADER),
+      display: compileProgram(gl, FULLSCREEN_VERTEX_SHADER, DISPLAY_FRAGMENT_SHADER)
+    };
+    const pointsBuffer = gl.createBuffer();
+    const pointsVao = gl.createVertexArray();
+    gl.bindVertexArray(pointsVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, pointsBuffer);
+    const cell = gl.getAttribLocation(programs.points.program, 'cell');
+    gl.enableVertexAttribArray(cell);
+    gl.vertexAttribPointer(cell, 3, gl.FLOAT, false, 0, 0);
+    const emptyVao = gl.createVertexArray();
+    gl.bindVertexArray(null);
+    return { gl, programs, pointsBuffer, pointsVao, emptyVao };
+  } catch (err) {
+    console.warn(err);
+    return null;
+  }
+}
+
+function chooseRenderBackend() {
+  const requested = new URLSearchParams(location.search).get('renderer');
+  if (requested !== 'worker' && requested !== 'canvas') {
+    const context = initWebGL();
+    if (context) return { name: 'webgl', gpu: context };
+  }
+  if (requested !== 'canvas' && fieldCanvas.transferControlToOffscreen && typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined') {
+    return { name: 'worker', worker: createRenderWorker() };
+  }
+  return { name: 'canvas', ctx: fieldCanvas.getContext('2d') };
+}
+
+// Maps a displacement to the field colour: blue crests, purple troughs
+function fieldColor(value, maxAmplitude, data, offset) {
+  const normalized = Math.max(-1, Math.min(1, value / maxAmplitude));
+  const absNormalized = Math.abs(normalized);
+
+  // Use cyan/blue for positive, purple/magenta for negative - adjusted for light background
+  // Make waves more visible with higher contrast
+  const hue = normalized > 0 ? 200 + absNormalized * 30 : 260 - absNormalized * 30;
+  const saturation = Math.min(100, absNormalized * 70 + 50);
+  const lightness = 25 + absNormalized * 50;
+
+  // Convert HSL to RGB
+  const h = (hue % 360) / 360;
+  const s = saturation / 100;
+  const l = lightness / 100;
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x_h = c * (1 - Math.abs((h * 6) % 2 - 1));
+  const m = l - c / 2;
+
+  let r, g, b;
+  const h6 = h * 6;
+  if (h6 < 1) { r = c; g = x_h; b = 0; }
+  else if (h6 < 2) { r = x_h; g = c; b = 0; }
+  else if (h6 < 3) { r = 0; g = c; b = x_h; }
+  else if (h6 < 4) { r = 0; g = x_h; b = c; }
+  else if (h6 < 5) { r = x_h; g = 0; b = c; }
+  else { r = c; g = 0; b = x_h; }
+
+  data[offset] = Math.round((r + m) * 255);
+  data[offset + 1] = Math.round((g + m) * 255);
+  data[offset + 2] = Math.round((b + m) * 255);
+  data[offset + 3] = 255;
+}
+
+// What a lamp above the tank casts on paper below: crests act as converging
+// lenses and troughs as diverging ones, so brightness follows −∇²u
+function fieldShadow(values, i, cols, rows, cellSize, maxAmplitude, shadowGain, data, offset) {
+  const col = i % cols;
+  const row = (i - col) / cols;
+  const u = values[i];
+  const left = col > 0 ? values[i - 1] : u;
+  const right = col < cols - 1 ? values[i + 1] : u;
+  const up = row > 0 ? values[i - cols] : u;
+  const down = row < rows - 1 ? values[i + cols] : u;
+  const laplacian = (left + right + up + down - 4 * u) / (cellSize * cellSize);
+  const brightness = 0.55 - 0.45 * Math.tanh((laplacian * shadowGain) / maxAmplitude);
+  data[offset] = Math.round(40 + (255 - 40) * brightness);
+  data[offset + 1] = Math.round(40 + (250 - 40) * brightness);
+  data[offset + 2] = Math.round(50 + (235 - 50) * brightness);
+  data[offset + 3] = 255;
+}
+
+// Colours one pixel per cell. A shadowGain selects the shadow projection
+// instead of the colour map.
+function paintCells(cells, values, cols, rows, cellSize, maxAmplitude, shadowGain = 0) {
+  if (cells.width !== cols || cells.height !== rows) {
+    cells.width = cols;
+    cells.height = rows;
+  }
+  const cellsCtx = cells.getContext('2d');
+  const imageData = cellsCtx.createImageData(cols, rows);
+  for (let i = 0; i < cols * rows; i++) {
+    if (shadowGain > 0) fieldShadow(values, i, cols, rows, cellSize, maxAmplitude, shadowGain, imageData.data, i * 4);
+    else fieldColor(values[i], maxAmplitude, imageData.data, i * 4);
+  }
+  cellsCtx.putImageData(imageData, 0, 0);
+}
+
+// Paints the cells on a small canvas, then scales it up in a single
+// drawImage instead of converting every screen pixel
+function paintField(target, cells, values, cols, rows, cellSize, maxAmplitude, shadowGain = 0) {
+  paintCells(cells, values, cols, rows, cellSize, maxAmplitude, shadowGain);
+  target.imageSmoothingEnabled = false;
+  target.drawImage(cells, 0, 0, cols * cellSize, rows * cellSize);
+}
+
+function renderWorkerMain() {
+  let target = null;
+  let cells = null;
+  self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.canvas) {
+      target = msg.canvas.getContext('2d');
+      cells = new OffscreenCanvas(1, 1);
+      return;
+    }
+    if (msg.resize) {
+      target.canvas.width = msg.resize.width;
+      target.canvas.height = msg.resize.height;
+      return;
+    }
+    paintField(target, cells, msg.values, msg.cols, msg.rows, msg.cellSize, msg.maxAmplitude, msg.shadowGain);
+    self.postMessage('painted');
+  };
+}
+
+// The worker is built from the same colour functions the main thread uses
+function createRenderWorker() {
+  const source = [fieldColor, fieldShadow, paintCells, paintField, renderWorkerMain].map(fn => fn.toString()).join('\n') +
+    '\nrenderWorkerMain();';
+  const worker = new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' })));
+  const offscreen = fieldCanvas.transferControlToOffscreen();
+  worker.postMessage({ canvas: offscreen }, [offscreen]);
+  worker.busy = false;
+  worker.onmessage = () => { worker.busy = false; };
+  return worker;
+}
+
+const renderBackend = chooseRenderBackend();
+let cellsCanvas = null; // Scratch canvas for the main-thread fallback
+
+function resizeFieldLayer() {
+  if (renderBackend.name === 'worker') {
+    renderBackend.worker.postMessage({ resize: { width: canvas.width, height: canvas.height } });
+  } else {
+    fieldCanvas.width = canvas.width;
+    fieldCanvas.height = canvas.height;
+  }
+}
+
+function createFieldTexture(gl, internalFormat, format, cols, rows, data = null) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, cols, rows, 0, format, gl.FLOAT, data);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
+
+function createTarget(gl, cols, rows) {
+  const texture = createFieldTexture(gl, gl.R32F, gl.RED, cols, rows);
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  return { texture, framebuffer };
 }
 
-let waveField = new WaveField(canvas.width, canvas.height);
+// WaveField whose displacement lives in GPU textures. The medium is still
+// built on the CPU and uploaded when it changes; reads of `current` pull the
+// field back from the GPU, at most once per substep, while readValue fetches
+// a single cell.
+class GpuWaveField extends WaveField {
+  constructor(width, height, cellSize, gpu) {
+    super(width, height, cellSize);
+    this.gpu = gpu;
+    const gl = gpu.gl;
+    this.targets = [0, 1, 2].map(() => createTarget(gl, this.cols, this.rows));
+    this.blendTarget = createTarget(gl, this.cols, this.rows);
+    this.mediumData = new Float32Array(this.cols * this.rows * 4);
+    this.mediumTexture = createFieldTexture(gl, gl.RGBA32F, gl.RGBA, this.cols, this.rows, this.mediumData);
+    this.displayTexture = createFieldTexture(gl, gl.R32F, gl.RED, this.cols, this.rows);
+    this.readBuffer = new Float32Array(this.cols * this.rows * 4);
+    this.cellBuffer = new Float32Array(4);
+    this.forced = [];
+    this.stale = false;
+    this.clear();
+  }
+
+  get current() {
+    if (this.stale) this.readBack(this.targets[0].framebuffer, this.mirror);
+    this.stale = false;
+    return this.mirror;
+  }
+
+  set current(values) {
+    this.mirror = values;
+  }
+
+  readBack(framebuffer, target) {
+    const gl = this.gpu.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.readPixels(0, 0, this.cols, this.rows, gl.RGBA, gl.FLOAT, this.readBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    for (let i = 0; i < target.length; i++) target[i] = this.readBuffer[i * 4];
+  }
+
+  readValue(x, y) {
+    if (!this.stale) return this.getValue(x, y);
+    const i = this.cellIndex(x, y);
+    if (i < 0) return 0;
+    const gl = this.gpu.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[0].framebuffer);
+    gl.readPixels(i % this.cols, Math.floor(i / this.cols), 1, 1, gl.RGBA, gl.FLOAT, this.cellBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return this.cellBuffer[0];
+  }
+
+  setValue(x, y, value) {
+    const i = this.cellIndex(x, y);
+    if (i < 0 || this.walls[i]) return;
+    this.forced.push(i % this.cols, Math.floor(i / this.cols), value);
+  }
+
+  resetMedium(speed) {
+    super.resetMedium(speed);
+    this.mediumPending = true;
+  }
+
+  syncMedium() {
+    const data = this.mediumData;
+    for (let i = 0, j = 0; i < this.speed.length; i++, j += 4) {
+      data[j] = this.speed[i];
+      data[j + 1] = this.absorption[i];
+      data[j + 2] = this.walls[i];
+    }
+    this.mediumPending = false;
+    const gl = this.gpu.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.mediumTexture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.cols, this.rows, gl.RGBA, gl.FLOAT, data);
+  }
+
+  drawForcedCells() {
+    if (this.forced.length === 0) return;
+    const { gl, programs, pointsBuffer, pointsVao } = this.gpu;
+    gl.useProgram(programs.points.program);
+    gl.uniform2f(programs.points.uniforms.gridSize, this.cols, this.rows);
+    gl.bindBuffer(gl.ARRAY_BUFFER, pointsBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.forced), gl.STREAM_DRAW);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.targets[0].framebuffer);
+    gl.bindVertexArray(pointsVao);
+    gl.drawArrays(gl.POINTS, 0, this.forced.length / 3);
+    this.forced = [];
+  }
+
+  bindTextures(program, textures) {
+    const gl = this.gpu.gl;
+    Object.keys(textures).forEach((name, unit) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, textures[name]);
+      gl.uniform1i(program.uniforms[name], unit);
+    });
+  }
+
+  step(dt, drive, afterStep) {
+    const { gl, programs, emptyVao } = this.gpu;
+    const h = this.cellSize;
+    const maxDt = COURANT_LIMIT * h / Math.max(this.maxSpeed, 1);
+    const substeps = Math.max(1, Math.ceil(dt / maxDt));
+    const subDt = dt / substeps;
+    if (this.mediumPending) this.syncMedium();
+    gl.viewport(0, 0, this.cols, this.rows);
+
+    for (let s = 0; s < substeps; s++) {
+      if (drive) drive((s + 1) * subDt - dt);
+      this.drawForcedCells();
+
+      const [cur, prev, next] = this.targets;
+      const step = programs.step;
+      gl.useProgram(step.program);
+      this.bindTextures(step, { current: cur.texture, previous: prev.texture, medium: this.mediumTexture });
+      gl.uniform1f(step.uniforms.dtOverH, subDt / h);
+      gl.uniform1f(step.uniforms.halfDt, subDt / 2);
+      gl.uniform1f(step.uniforms.damping, this.damping);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, next.framebuffer);
+      gl.bindVertexArray(emptyVao);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+      // Rotate buffers: next becomes current, current becomes previous
+      this.targets = [next, cur, prev];
+      this.stale = true;
+      if (afterStep) afterStep((s + 1) * subDt - dt, subDt);
+      gl.viewport(0, 0, this.cols, this.rows);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  blend(t, target) {
+    const { gl, programs, emptyVao } = this.gpu;
+    const blend = programs.blend;
+    gl.viewport(0, 0, this.cols, this.rows);
+    gl.useProgram(blend.program);
+    this.bindTextures(blend, { current: this.targets[0].texture, previous: this.targets[1].texture });
+    gl.uniform1f(blend.uniforms.t, t);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.blendTarget.framebuffer);
+    gl.bindVertexArray(emptyVao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    this.readBack(this.blendTarget.framebuffer, target);
+  }
+
+  // Colours the live field, or `values` (e.g. a strobe snapshot) if given
+  render(values, maxAmplitude, shadowGain) {
+    const { gl, programs, emptyVao } = this.gpu;
+    let texture = this.targets[0].texture;
+    if (values) {
+      gl.bindTexture(gl.TEXTURE_2D, this.displayTexture);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.cols, this.rows, gl.RED, gl.FLOAT, values);
+      texture = this.displayTexture;
+    }
+    const display = programs.display;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, fieldCanvas.width, fieldCanvas.height);
+    gl.useProgram(display.program);
+    this.bindTextures(display, { field: texture });
+    gl.uniform1f(display.uniforms.cellSize, this.cellSize);
+    gl.uniform1f(display.uniforms.canvasHeight, fieldCanvas.height);
+    gl.uniform1f(display.uniforms.maxAmplitude, maxAmplitude);
+    gl.uniform1f(display.uniforms.shadowGain, shadowGain);
+    gl.bindVertexArray(emptyVao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  clear() {
+    const gl = this.gpu.gl;
+    gl.clearColor(0, 0, 0, 0);
+    this.targets.forEach(target => {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    });
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.mirror.fill(0);
+    this.forced = [];
+    this.stale = false;
+  }
+
+  dispose() {
+    const gl = this.gpu.gl;
+    this.targets.concat([this.blendTarget]).forEach(target => {
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteTexture(target.texture);
+    });
+    gl.deleteTexture(this.mediumTexture);
+    gl.deleteTexture(this.displayTexture);
+  }
+}
+
+function createWaveField() {
+  if (waveField && waveField.dispose) waveField.dispose();
+  const cellSize = CELL_SIZE / state.resolutionScale;
+  if (renderBackend.name === 'webgl') {
+    return new GpuWaveField(canvas.width, canvas.height, cellSize, renderBackend.gpu);
+  }
+  return new WaveField(canvas.width, canvas.height, cellSize);
+}
+
+let waveField = null;
+resizeFieldLayer();
+waveField = createWaveField();
 
 // ============ Drawing Functions ============
-function drawWaveField() {
-  const imageData = ctx.createImageData(canvas.width, canvas.height);
-  const data = imageData.data;
+// values defaults to the live field; the stroboscope passes its last flash
+function drawWaveField(values = null) {
   const maxAmplitude = state.amplitude * 2; // Account for interference
+  const shadowGain = state.view === 'shadow' ? SHADOW_GAIN : 0;
+  const { cols, rows, cellSize } = waveField;
 
-  for (let y = 0; y < canvas.height; y++) {
-    for (let x = 0; x < canvas.width; x++) {
-      const idx = (y * canvas.width + x) * 4;
-      const value = waveField.getValue(x, y);
-      
-      // Create beautiful color gradient based on wave amplitude
-      const normalized = Math.max(-1, Math.min(1, value / maxAmplitude));
-      const absNormalized = Math.abs(normalized);
-      
-      // Use cyan/blue for positive, purple/magenta for negative - adjusted for light background
-      // Make waves more visible with higher contrast
-      const hue = normalized > 0 ? 200 + absNormalized * 30 : 260 - absNormalized * 30;
-      const saturation = Math.min(100, absNormalized * 70 + 50);
-      const lightness = 25 + absNormalized * 50;
-      
-      // Convert HSL to RGB
-      const h = (hue % 360) / 360;
-      const s = saturation / 100;
-      const l = lightness / 100;
-      const c = (1 - Math.abs(2 * l - 1)) * s;
-      const x_h = c * (1 - Math.abs((h * 6) % 2 - 1));
-      const m = l - c / 2;
-      
-      let r, g, b;
-      const h6 = h * 6;
-      if (h6 < 1) { r = c; g = x_h; b = 0; }
-      else if (h6 < 2) { r = x_h; g = c; b = 0; }
-      else if (h6 < 3) { r = 0; g = c; b = x_h; }
-      else if (h6 < 4) { r = 0; g = x_h; b = c; }
-      else if (h6 < 5) { r = x_h; g = 0; b = c; }
-      else { r = c; g = 0; b = x_h; }
-      
-      data[idx] = Math.round((r + m) * 255);
-      data[idx + 1] = Math.round((g + m) * 255);
-      data[idx + 2] = Math.round((b + m) * 255);
-      data[idx + 3] = 255;
-    }
+  if (renderBackend.name === 'webgl') {
+    waveField.render(values, maxAmplitude, shadowGain);
+  } else if (renderBackend.name === 'worker') {
+    // Skip a frame rather than queue work if the worker is still painting
+    const worker = renderBackend.worker;
+    if (worker.busy) return;
+    worker.busy = true;
+    const copy = Float32Array.from(values || waveField.current);
+    worker.postMessage({ values: copy, cols, rows, cellSize, maxAmplitude, shadowGain }, [copy.buffer]);
+  } else {
+    if (!cellsCanvas) cellsCanvas = document.createElement('canvas');
+    paintField(renderBackend.ctx, cellsCanvas, values || waveField.current, cols, rows, cellSize, maxAmplitude, shadowGain);
   }
-  
-  ctx.putImageData(imageData, 0, 0);
+}
+
+function drawBeaches() {
+  const bands = {
+    left: [0, 0, BEACH_WIDTH, 0],
+    right: [canvas.width, 0, canvas.width - BEACH_WIDTH, 0],
+    top: [0, 0, 0, BEACH_WIDTH],
+    bottom: [0, canvas.height, 0, canvas.height - BEACH_WIDTH]
+  };
+  Object.keys(bands).forEach(edge => {
+    if (state.edges[edge] !== 'absorb') return;
+    const [x0, y0, x1, y1] = bands[edge];
+    const gradient = ctx.createLinearGradient(x0, y0, x1, y1);
+    gradient.addColorStop(0, 'rgba(214, 190, 140, 0.55)');
+    gradient.addColorStop(1, 'rgba(214, 190, 140, 0)');
+    ctx.fillStyle = gradient;
+    if (edge === 'left') ctx.fillRect(0, 0, BEACH_WIDTH, canvas.height);
+    else if (edge === 'right') ctx.fillRect(canvas.width - BEACH_WIDTH, 0, BEACH_WIDTH, canvas.height);
+    else if (edge === 'top') ctx.fillRect(0, 0, canvas.width, BEACH_WIDTH);
+    else ctx.fillRect(0, canvas.height - BEACH_WIDTH, canvas.width, BEACH_WIDTH);
+  });
 }
 
 function drawBarriers() {
@@ -119,181 +846,1530 @@ function drawBarriers() {
   ctx.lineWidth = 4;
   ctx.shadowBlur = 10;
   ctx.shadowColor = 'rgba(255, 107, 107, 0.5)';
+  ctx.lineJoin = 'round';
+  state.barriers.forEach(barrier => {
+    barrierSegments(barrier).forEach(piece => {
+      ctx.beginPath();
+      ctx.moveTo(piece[0].x, piece[0].y);
+      for (let i = 1; i < piece.length; i++) ctx.lineTo(piece[i].x, piece[i].y);
+      ctx.stroke();
+    });
+  });
+  ctx.shadowBlur = 0;
+
+  // Mark the focus of parabolic reflectors
   state.barriers.forEach(barrier => {
+    const focus = parabolaFocus(barrier);
+    if (!focus) return;
+    ctx.strokeStyle = '#0f1720';
+    ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.moveTo(barrier.x1, barrier.y1);
-    ctx.lineTo(barrier.x2, barrier.y2);
+    ctx.moveTo(focus.x - 6, focus.y - 6);
+    ctx.lineTo(focus.x + 6, focus.y + 6);
+    ctx.moveTo(focus.x + 6, focus.y - 6);
+    ctx.lineTo(focus.x - 6, focus.y + 6);
     ctx.stroke();
+    ctx.fillStyle = '#0f1720';
+    ctx.font = 'bold 12px Inter, system-ui, Arial';
+    ctx.fillText('F', focus.x + 8, focus.y - 8);
+    ctx.strokeStyle = '#ff6b6b';
+    ctx.lineWidth = 4;
   });
-  ctx.shadowBlur = 0;
 }
 
 function drawShallowRegions() {
   state.shallowRegions.forEach(region => {
+    const outline = regionOutline(region);
+    ctx.beginPath();
+    ctx.moveTo(outline[0].x, outline[0].y);
+    for (let i = 1; i < outline.length; i++) ctx.lineTo(outline[i].x, outline[i].y);
+    ctx.closePath();
     ctx.fillStyle = 'rgba(255, 193, 7, 0.3)';
-    ctx.fillRect(region.x, region.y, region.width, region.height);
+    ctx.fill();
     ctx.strokeStyle = '#ffc107';
     ctx.lineWidth = 2;
-    ctx.strokeRect(region.x, region.y, region.width, region.height);
+    ctx.stroke();
   });
 }
 
 function drawGaps() {
-  // Gaps are represented by barriers with openings
-  // The barriers are already drawn, gaps are just the absence
+  // The opening itself is the absence of barrier; mark its edges with small ticks
+  ctx.strokeStyle = '#ff6b6b';
+  ctx.lineWidth = 2;
+  state.gaps.forEach(gap => {
+    const ends = gapEndpoints(gap);
+    [ends.start, ends.end].forEach(point => {
+      const nx = -point.uy * 8;
+      const ny = point.ux * 8;
+      ctx.beginPath();
+      ctx.moveTo(point.x - nx, point.y - ny);
+      ctx.lineTo(point.x + nx, point.y + ny);
+      ctx.stroke();
+    });
+  });
+}
+
+function drawEditOverlay() {
+  ctx.save();
+  ctx.setLineDash([6, 4]);
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = '#0f1720';
+
+  const selection = state.selection;
+  if (selection && selection.type === 'barrier') {
+    const path = barrierPath(selection.item);
+    ctx.beginPath();
+    ctx.moveTo(path[0].x, path[0].y);
+    for (let i = 1; i < path.length; i++) ctx.lineTo(path[i].x, path[i].y);
+    ctx.stroke();
+  } else if (selection && selection.type === 'shallow') {
+    const r = selection.item;
+    ctx.translate(r.x + r.width / 2, r.y + r.height / 2);
+    ctx.rotate(r.angle || 0);
+    ctx.strokeRect(-r.width / 2 - 4, -r.height / 2 - 4, r.width + 8, r.height + 8);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+  } else if (selection && selection.type === 'gap') {
+    const gap = selection.item;
+    const centre = pointAlongPath(barrierPath(gap.barrier), gap.offset);
+    ctx.beginPath();
+    ctx.arc(centre.x, centre.y, gap.width / 2 + 6, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  // Object being drawn with the pointer
+  if (pointerAction && pointerAction.kind === 'drawBarrier') {
+    ctx.strokeStyle = '#ff6b6b';
+    ctx.beginPath();
+    ctx.moveTo(pointerAction.startX, pointerAction.startY);
+    ctx.lineTo(pointerAction.x, pointerAction.y);
+    ctx.stroke();
+  } else if (pointerAction && pointerAction.kind === 'drawShallow') {
+    ctx.strokeStyle = '#ffc107';
+    ctx.strokeRect(pointerAction.startX, pointerAction.startY,
+      pointerAction.x - pointerAction.startX, pointerAction.y - pointerAction.startY);
+  }
+  ctx.restore();
 }
 
-function drawPointSources() {
-  state.pointSources.forEach(source => {
+function drawSources() {
+  // Paths of moving sources
+  ctx.save();
+  ctx.setLineDash([3, 6]);
+  ctx.strokeStyle = 'rgba(34, 197, 94, 0.7)';
+  ctx.lineWidth = 2;
+  state.sources.forEach(source => {
+    if (!source.motion) return;
+    ctx.beginPath();
+    ctx.moveTo(source.motion.x1, source.motion.y1);
+    ctx.lineTo(source.motion.x2, source.motion.y2);
+    ctx.stroke();
+  });
+  ctx.restore();
+
+  state.sources.forEach((source, i) => {
     // Pulsing effect
     const pulse = Math.sin(state.time * 5) * 2 + 8;
-    ctx.fillStyle = '#4ade80';
     ctx.shadowBlur = 15;
     ctx.shadowColor = 'rgba(74, 222, 128, 0.6)';
+    if (source.type === 'line') {
+      const ends = lineSourceEnds(source);
+      ctx.strokeStyle = '#4ade80';
+      ctx.lineWidth = pulse * 0.6;
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      ctx.moveTo(ends.x1, ends.y1);
+      ctx.lineTo(ends.x2, ends.y2);
+      ctx.stroke();
+      ctx.lineCap = 'butt';
+    } else {
+      ctx.fillStyle = '#4ade80';
+      ctx.beginPath();
+      ctx.arc(source.x, source.y, pulse, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.strokeStyle = '#22c55e';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(source.x, source.y, 6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.shadowBlur = 0;
+
+    if (state.sources.length > 1) {
+      ctx.fillStyle = '#166534';
+      ctx.font = '12px Inter, system-ui, Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('S' + (i + 1), source.x + 12, source.y - 12);
+    }
+  });
+}
+
+// ============ 3D Surface View ============
+// Built on first use. The surface is a height field sampled from the wave
+// field, with walls raised and shallow water tinted; the paper under the tank
+// shows the same shadow projection as the 2D shadow view.
+const SURFACE_WIDTH = 10; // World units across the tank
+const SURFACE_MAX_SEGMENTS = 240;
+const SURFACE_HEIGHT_SCALE = 0.012; // World units per pixel of displacement
+const SURFACE_WALL_HEIGHT = 0.25;
+const PAPER_DEPTH = 1.2; // World units below the water
+const WATER_COLOR = new THREE.Color(0x2f7fb8);
+const SHALLOW_COLOR = new THREE.Color(0x8fc9b9);
+const WALL_COLOR = new THREE.Color(0x3f3f46);
+
+let surfaceView = null;
+
+function createSurfaceView() {
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.setPixelRatio(window.devicePixelRatio);
+  renderer.domElement.id = 'surfaceCanvas';
+  document.getElementById('container').appendChild(renderer.domElement);
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0xe8e8e8);
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+  camera.position.set(0, 7, 8);
+  const controls = new OrbitControls(camera, renderer.domElement);
+  controls.enableDamping = true;
+  controls.maxPolarAngle = Math.PI / 2 - 0.05;
+
+  scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+  const sun = new THREE.DirectionalLight(0xffffff, 1.2);
+  sun.position.set(3, 8, 4);
+  scene.add(sun);
+
+  const water = new THREE.Mesh(
+    new THREE.BufferGeometry(),
+    new THREE.MeshPhongMaterial({
+      vertexColors: true,
+      shininess: 90,
+      specular: 0x99bbdd,
+      transparent: true,
+      opacity: 0.85,
+      side: THREE.DoubleSide
+    })
+  );
+  scene.add(water);
+
+  const paperCanvas = document.createElement('canvas');
+  const paperTexture = new THREE.CanvasTexture(paperCanvas);
+  paperTexture.colorSpace = THREE.SRGBColorSpace;
+  const paper = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial({ map: paperTexture }));
+  paper.rotation.x = -Math.PI / 2;
+  paper.position.y = -PAPER_DEPTH;
+  scene.add(paper);
+
+  surfaceView = { renderer, scene, camera, controls, water, paper, paperCanvas, paperTexture, segX: 0, segY: 0, cols: 0, rows: 0 };
+  resizeSurfaceView();
+}
+
+function resizeSurfaceView() {
+  if (!surfaceView) return;
+  surfaceView.renderer.setSize(window.innerWidth, window.innerHeight);
+  surfaceView.camera.aspect = window.innerWidth / window.innerHeight;
+  surfaceView.camera.updateProjectionMatrix();
+  surfaceView.segX = 0; // Rebuild the mesh for the new tank shape
+}
+
+function rebuildSurfaceGeometry() {
+  const view = surfaceView;
+  const depth = (SURFACE_WIDTH * canvas.height) / canvas.width;
+  view.segX = Math.min(waveField.cols - 1, SURFACE_MAX_SEGMENTS);
+  view.segY = Math.max(1, Math.round((view.segX * canvas.height) / canvas.width));
+  const geometry = new THREE.PlaneGeometry(SURFACE_WIDTH, depth, view.segX, view.segY);
+  geometry.rotateX(-Math.PI / 2); // Canvas top edge ends up at the far side
+  const count = geometry.attributes.position.count;
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+  view.water.geometry.dispose();
+  view.water.geometry = geometry;
+  view.paper.scale.set(SURFACE_WIDTH, depth, 1);
+  // The paper texture is reallocated at the new grid size on its next upload
+  view.cols = waveField.cols;
+  view.rows = waveField.rows;
+  view.paperTexture.dispose();
+}
+
+function updateSurfaceView(values) {
+  const view = surfaceView;
+  if (view.segX === 0 || view.cols !== waveField.cols || view.rows !== waveField.rows) rebuildSurfaceGeometry();
+  const field = values || waveField.current;
+  const geometry = view.water.geometry;
+  const positions = geometry.attributes.position.array;
+  const colors = geometry.attributes.color.array;
+  const color = new THREE.Color();
+  let k = 0;
+  for (let j = 0; j <= view.segY; j++) {
+    const y = Math.min(canvas.height - 1, (j / view.segY) * canvas.height);
+    for (let i = 0; i <= view.segX; i++, k++) {
+      const x = Math.min(canvas.width - 1, (i / view.segX) * canvas.width);
+      const cell = waveField.cellIndex(x, y);
+      if (waveField.walls[cell]) {
+        positions[k * 3 + 1] = SURFACE_WALL_HEIGHT;
+        color.copy(WALL_COLOR);
+      } else {
+        positions[k * 3 + 1] = field[cell] * SURFACE_HEIGHT_SCALE;
+        const shallowness = 1 - (waveField.speed[cell] / state.waveSpeed) ** 2;
+        color.copy(WATER_COLOR).lerp(SHALLOW_COLOR, Math.max(0, Math.min(1, shallowness)));
+      }
+      colors[k * 3] = color.r;
+      colors[k * 3 + 1] = color.g;
+      colors[k * 3 + 2] = color.b;
+    }
+  }
+  geometry.attributes.position.needsUpdate = true;
+  geometry.attributes.color.needsUpdate = true;
+  geometry.computeVertexNormals();
+
+  const { cols, rows, cellSize } = waveField;
+  paintCells(view.paperCanvas, field, cols, rows, cellSize, state.amplitude * 2, SHADOW_GAIN);
+  view.paperTexture.needsUpdate = true;
+
+  view.controls.update();
+  view.renderer.render(view.scene, view.camera);
+}
+
+function setView(view) {
+  state.view = view;
+  if (view === '3d' && !surfaceView) createSurfaceView();
+  const is3d = view === '3d';
+  fieldCanvas.style.display = is3d ? 'none' : 'block';
+  canvas.style.display = is3d ? 'none' : 'block';
+  if (surfaceView) surfaceView.renderer.domElement.style.display = is3d ? 'block' : 'none';
+  document.getElementById('viewSelect').value = view;
+}
+
+// ============ Depth Map ============
+const DEPTH_CELL = 8; // Pixels per depth map cell
+const DEPTH_TOOLS = ['shallower', 'deeper', 'smooth'];
+
+// Relative depth (MIN_DEPTH…1) on a coarse grid, kept separate from the wave
+// field so painting survives resolution changes. `flat` lets buildMedium
+// skip the lookup when nothing has been painted.
+function createDepthMap(width, height, old = null) {
+  const cols = Math.ceil(width / DEPTH_CELL);
+  const rows = Math.ceil(height / DEPTH_CELL);
+  const map = { cols, rows, values: new Float32Array(cols * rows).fill(1), flat: true, image: null, dirty: true };
+  if (old && !old.flat) {
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        map.values[row * cols + col] = depthAt(old, (col + 0.5) * DEPTH_CELL, (row + 0.5) * DEPTH_CELL);
+      }
+    }
+    map.flat = false;
+  }
+  return map;
+}
+
+function depthAt(map, x, y) {
+  const col = Math.max(0, Math.min(map.cols - 1, Math.floor(x / DEPTH_CELL)));
+  const row = Math.max(0, Math.min(map.rows - 1, Math.floor(y / DEPTH_CELL)));
+  return map.values[row * map.cols + col];
+}
+
+function setDepthProfile(depthFn) {
+  const map = state.depthMap;
+  for (let row = 0; row < map.rows; row++) {
+    for (let col = 0; col < map.cols; col++) {
+      const depth = depthFn((col + 0.5) * DEPTH_CELL, (row + 0.5) * DEPTH_CELL);
+      map.values[row * map.cols + col] = Math.max(MIN_DEPTH, Math.min(1, depth));
+    }
+  }
+  map.flat = map.values.every(v => v === 1);
+  map.dirty = true;
+  markMediumChanged();
+}
+
+// Brush with a smooth falloff: 'shallower' and 'deeper' move depth towards
+// the limits, 'smooth' blends each cell with its neighbours
+function paintDepth(tool, x, y) {
+  const map = state.depthMap;
+  const radius = state.brush.size;
+  const reach = Math.ceil(radius / DEPTH_CELL);
+  const centreCol = Math.floor(x / DEPTH_CELL);
+  const centreRow = Math.floor(y / DEPTH_CELL);
+  const source = tool === 'smooth' ? Float32Array.from(map.values) : map.values;
+
+  for (let row = centreRow - reach; row <= centreRow + reach; row++) {
+    for (let col = centreCol - reach; col <= centreCol + reach; col++) {
+      if (col < 0 || col >= map.cols || row < 0 || row >= map.rows) continue;
+      const distance = Math.hypot((col + 0.5) * DEPTH_CELL - x, (row + 0.5) * DEPTH_CELL - y);
+      if (distance > radius) continue;
+      const weight = state.brush.strength * (1 - (distance / radius) ** 2);
+      const i = row * map.cols + col;
+      let target;
+      if (tool === 'shallower') target = MIN_DEPTH;
+      else if (tool === 'deeper') target = 1;
+      else {
+        let sum = 0;
+        let count = 0;
+        for (let dr = -1; dr <= 1; dr++) {
+          for (let dc = -1; dc <= 1; dc++) {
+            const c = col + dc;
+            const r = row + dr;
+            if (c < 0 || c >= map.cols || r < 0 || r >= map.rows) continue;
+            sum += source[r * map.cols + c];
+            count++;
+          }
+        }
+        target = sum / count;
+      }
+      map.values[i] += (target - map.values[i]) * weight;
+    }
+  }
+  map.flat = false;
+  map.dirty = true;
+  markMediumChanged();
+}
+
+// Shoreline running across the right of the tank at a slant, so plane waves
+// meet it obliquely and swing round to face the shore as they slow down
+function setupSlopingBeach() {
+  const angle = 20 * Math.PI / 180;
+  const start = canvas.width * 0.35;
+  const shore = canvas.width - BEACH_WIDTH;
+  setDepthProfile((x, y) => {
+    const along = x + (y - canvas.height / 2) * Math.tan(angle);
+    return 1 - (1 - MIN_DEPTH) * Math.max(0, Math.min(1, (along - start) / (shore - start)));
+  });
+}
+
+// Slower water over the ridge bends the fronts in towards it from both sides
+function setupUnderwaterRidge() {
+  const width = canvas.height * 0.12;
+  setDepthProfile((x, y) => {
+    const d = (y - canvas.height / 2) / width;
+    const rise = Math.max(0, Math.min(1, (x - canvas.width * 0.3) / (canvas.width * 0.15)));
+    return 1 - (1 - MIN_DEPTH) * 0.9 * rise * Math.exp(-d * d);
+  });
+}
+
+// Sand shading, darker where the water is shallower
+function drawDepthMap() {
+  const map = state.depthMap;
+  if (map.flat) return;
+  if (map.dirty || !map.image) {
+    if (!map.image) map.image = document.createElement('canvas');
+    map.image.width = map.cols;
+    map.image.height = map.rows;
+    const imageCtx = map.image.getContext('2d');
+    const imageData = imageCtx.createImageData(map.cols, map.rows);
+    for (let i = 0; i < map.values.length; i++) {
+      const shallowness = (1 - map.values[i]) / (1 - MIN_DEPTH);
+      imageData.data[i * 4] = 194;
+      imageData.data[i * 4 + 1] = 160;
+      imageData.data[i * 4 + 2] = 90;
+      imageData.data[i * 4 + 3] = Math.round(shallowness * 140);
+    }
+    imageCtx.putImageData(imageData, 0, 0);
+    map.dirty = false;
+  }
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(map.image, 0, 0, map.cols * DEPTH_CELL, map.rows * DEPTH_CELL);
+  ctx.restore();
+}
+
+function drawBrush() {
+  if (!DEPTH_TOOLS.includes(state.editTool) || !state.hover) return;
+  ctx.save();
+  ctx.strokeStyle = 'rgba(15, 23, 32, 0.6)';
+  ctx.setLineDash([4, 4]);
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(state.hover.x, state.hover.y, state.brush.size, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+}
+
+// ============ Wave Generation ============
+// Set by anything that changes the medium: barriers, gaps, shallow regions,
+// depth, edges, wave speed or the grid itself
+let mediumChanged = true;
+
+function markMediumChanged() {
+  mediumChanged = true;
+}
+
+// Rebuilds the speed map and wall mask from the barriers and shallow regions
+function buildMedium() {
+  waveField.resetMedium(state.waveSpeed);
+  const map = state.depthMap;
+  if (!map.flat) waveField.applyDepth((x, y) => depthAt(map, x, y), state.waveSpeed);
+  state.shallowRegions.forEach(region => {
+    const bounds = regionBounds(region);
+    const depth = region.depth || DEFAULT_SHALLOW_DEPTH;
+    waveField.fillSpeedRegion(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY,
+      state.waveSpeed * Math.sqrt(depth), (x, y) => pointInShallowRegion(x, y, region));
+  });
+  state.barriers.forEach(barrier => {
+    barrierSegments(barrier).forEach(piece => {
+      for (let i = 1; i < piece.length; i++) {
+        waveField.addWallSegment(piece[i - 1].x, piece[i - 1].y, piece[i].x, piece[i].y);
+      }
+    });
+  });
+  Object.keys(state.edges).forEach(edge => {
+    if (state.edges[edge] === 'absorb') {
+      waveField.addBeach(edge, BEACH_WIDTH, state.waveSpeed);
+    }
+  });
+}
+
+const SOURCE_TYPES = { point: 'Point', line: 'Line' };
+
+function createSource(type, x, y, options = {}) {
+  return Object.assign({
+    type,
+    x,
+    y,
+    angle: Math.PI / 2,
+    length: 160,
+    frequency: state.frequency,
+    amplitude: state.amplitude,
+    phase: 0, // Radians
+    time: state.time
+  }, options);
+}
+
+// Moves the start time along with the frequency so the cycles already made
+// are kept and the source carries on without a jump in phase
+function setSourceFrequency(source, frequency) {
+  const elapsed = state.time - source.time;
+  if (elapsed > 0) source.time = state.time - (elapsed * source.frequency) / frequency;
+  source.frequency = frequency;
+}
+
+// A dipper bar along the left edge generates plane waves, placed just
+// clear of the beach so its waves are not damped at birth
+function dipperX() {
+  const h = waveField.cellSize;
+  return state.edges.left === 'absorb' ? BEACH_WIDTH + h * 0.5 : h * 1.5;
+}
+
+function createPlaneSource() {
+  const h = waveField.cellSize;
+  return createSource('line', dipperX(), canvas.height / 2, { length: canvas.height - h * 3, onEdge: true });
+}
+
+// Keeps dippers the user has not moved clear of the beach when the left edge
+// or the grid changes
+function placeDippers() {
+  state.sources.forEach(source => {
+    if (source.onEdge) source.x = dipperX();
+  });
+}
+
+function lineSourceEnds(source, position = source) {
+  const dx = (Math.cos(source.angle) * source.length) / 2;
+  const dy = (Math.sin(source.angle) * source.length) / 2;
+  return { x1: position.x - dx, y1: position.y - dy, x2: position.x + dx, y2: position.y + dy };
+}
+
+function sourceDistance(source, x, y) {
+  if (source.type !== 'line') return Math.hypot(x - source.x, y - source.y);
+  const ends = lineSourceEnds(source);
+  return closestPointOnSegment(x, y, ends.x1, ends.y1, ends.x2, ends.y2).distance;
+}
+
+function driveSources(time) {
+  const h = waveField.cellSize;
+  state.sources.forEach(source => {
+    const sourceTime = time - source.time;
+    if (sourceTime < 0) return;
+    const value = source.amplitude * Math.sin(2 * Math.PI * source.frequency * sourceTime + source.phase);
+    const position = sourcePosition(source, time);
+
+    if (source.type === 'line') {
+      // A line source drives every cell along its length in step
+      const ends = lineSourceEnds(source, position);
+      const steps = Math.max(1, Math.ceil(source.length / h));
+      for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        waveField.setValue(ends.x1 + (ends.x2 - ends.x1) * t, ends.y1 + (ends.y2 - ends.y1) * t, value);
+      }
+      return;
+    }
+
+    // A point source oscillates a small disc of cells
+    const radius = h * 1.5;
+    for (let dy = -radius; dy <= radius; dy += h) {
+      for (let dx = -radius; dx <= radius; dx += h) {
+        if (dx * dx + dy * dy > radius * radius) continue;
+        waveField.setValue(position.x + dx, position.y + dy, value);
+      }
+    }
+  });
+}
+
+// λ = v / f in deep water, the wavelength the solver should reproduce
+function expectedWavelength() {
+  return state.waveSpeed / state.frequency;
+}
+
+function generateWaves(dt) {
+  if (mediumChanged) {
+    buildMedium();
+    mediumChanged = false;
+  }
+  if (dt <= 0) return;
+  const endTime = state.time;
+  waveField.step(dt,
+    offset => driveSources(endTime + offset),
+    (offset, subDt) => {
+      captureStrobeFlash(endTime + offset, subDt);
+      sampleListeners(endTime + offset, subDt);
+    });
+}
+
+// ============ Moving Sources & Listeners ============
+const LISTENER_WINDOW = 2; // Seconds of zero crossings used to measure frequency
+const LISTENER_RADIUS = 9;
+
+// A moving source travels back and forth along motion.x1,y1 → x2,y2.
+// `distance` is how far it had travelled at `startTime`, so the speed can
+// change mid-run without the source jumping.
+function sourcePosition(source, time) {
+  const motion = source.motion;
+  if (!motion) return { x: source.x, y: source.y };
+  const length = Math.hypot(motion.x2 - motion.x1, motion.y2 - motion.y1);
+  if (length === 0) return { x: motion.x1, y: motion.y1 };
+  const travelled = motion.distance + Math.max(0, time - motion.startTime) * motion.speed;
+  const lap = travelled % (2 * length);
+  const d = lap <= length ? lap : 2 * length - lap;
+  return {
+    x: motion.x1 + ((motion.x2 - motion.x1) * d) / length,
+    y: motion.y1 + ((motion.y2 - motion.y1) * d) / length
+  };
+}
+
+function sourceVelocity(source, time) {
+  const motion = source.motion;
+  if (!motion || motion.speed === 0) return { vx: 0, vy: 0 };
+  const length = Math.hypot(motion.x2 - motion.x1, motion.y2 - motion.y1);
+  if (length === 0) return { vx: 0, vy: 0 };
+  const travelled = motion.distance + Math.max(0, time - motion.startTime) * motion.speed;
+  const direction = travelled % (2 * length) <= length ? 1 : -1;
+  return {
+    vx: (direction * motion.speed * (motion.x2 - motion.x1)) / length,
+    vy: (direction * motion.speed * (motion.y2 - motion.y1)) / length
+  };
+}
+
+function setSourceSpeed(speed) {
+  state.sources.forEach(source => {
+    const motion = source.motion;
+    if (!motion) return;
+    motion.distance += Math.max(0, state.time - motion.startTime) * motion.speed;
+    motion.startTime = state.time;
+    motion.speed = speed;
+  });
+  state.sourceSpeed = speed;
+}
+
+function updateSourcePositions() {
+  state.sources.forEach(source => {
+    if (!source.motion) return;
+    const position = sourcePosition(source, state.time);
+    source.x = position.x;
+    source.y = position.y;
+  });
+}
+
+function addListener(x, y) {
+  const listener = { x, y, lastValue: 0, crossings: [] };
+  state.listeners.push(listener);
+  return listener;
+}
+
+// Records upward zero crossings of the water at each listener, interpolated
+// within the substep so the timing is finer than the frame rate
+function sampleListeners(time, subDt) {
+  state.listeners.forEach(listener => {
+    const value = waveField.readValue(listener.x, listener.y);
+    if (listener.lastValue < 0 && value >= 0) {
+      const fraction = value / (value - listener.lastValue);
+      listener.crossings.push(time - fraction * subDt);
+    }
+    listener.lastValue = value;
+    while (listener.crossings.length > 0 && listener.crossings[0] < time - LISTENER_WINDOW) {
+      listener.crossings.shift();
+    }
+  });
+}
+
+function observedFrequency(listener) {
+  const crossings = listener.crossings;
+  if (crossings.length < 3) return 0;
+  return (crossings.length - 1) / (crossings[crossings.length - 1] - crossings[0]);
+}
+
+// Doppler formula f' = f·v / (v − v_s·r̂) for each moving source, using the
+// source's present position. Returns null once the source outruns its waves.
+function predictedFrequency(listener) {
+  const moving = state.sources.find(source => source.motion);
+  if (!moving) return state.sources.length ? state.sources[0].frequency : state.frequency;
+  const { vx, vy } = sourceVelocity(moving, state.time);
+  const dx = listener.x - moving.x;
+  const dy = listener.y - moving.y;
+  const distance = Math.hypot(dx, dy) || 1;
+  const approach = (vx * dx + vy * dy) / distance;
+  if (approach >= state.waveSpeed) return null;
+  return (moving.frequency * state.waveSpeed) / (state.waveSpeed - approach);
+}
+
+function drawListeners() {
+  ctx.save();
+  ctx.font = '12px Inter, system-ui, Arial';
+  state.listeners.forEach((listener, i) => {
+    ctx.fillStyle = '#f8fafc';
+    ctx.strokeStyle = '#7c3aed';
+    ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(source.x, source.y, pulse, 0, Math.PI * 2);
+    ctx.arc(listener.x, listener.y, LISTENER_RADIUS, 0, Math.PI * 2);
     ctx.fill();
-    ctx.shadowBlur = 0;
-    ctx.strokeStyle = '#22c55e';
+    ctx.stroke();
+    ctx.fillStyle = '#7c3aed';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('L' + (i + 1), listener.x, listener.y);
+
+    const observed = observedFrequency(listener);
+    const label = observed > 0 ? observed.toFixed(2) + ' Hz' : '—';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(listener.x + 12, listener.y - 9, ctx.measureText(label).width + 8, 18);
+    ctx.fillStyle = '#0f1720';
+    ctx.fillText(label, listener.x + 16, listener.y);
+  });
+  ctx.restore();
+}
+
+function updateDopplerReadout() {
+  const mach = state.sourceSpeed / state.waveSpeed;
+  let machText = 'Mach ' + mach.toFixed(2);
+  if (mach > 1) {
+    // Wavefronts pile up into a cone with sin θ = v / v_s
+    machText += `, cone half-angle ${(Math.asin(1 / mach) * 180 / Math.PI).toFixed(0)}°`;
+  }
+  document.getElementById('machReadout').textContent = machText;
+
+  const lines = state.listeners.map((listener, i) => {
+    const observed = observedFrequency(listener);
+    const predicted = predictedFrequency(listener);
+    const observedText = observed > 0 ? observed.toFixed(2) + ' Hz' : '—';
+    const predictedText = predicted ? predicted.toFixed(2) + ' Hz' : 'shock wave';
+    return `L${i + 1}: ${observedText} (predicted ${predictedText})`;
+  });
+  document.getElementById('listenerReadout').textContent = lines.length ? lines.join(' · ') : 'Place listeners with the Listener tool';
+}
+
+// ============ Intensity Detector ============
+const DETECTOR_AVERAGING_TIME = 1.5; // Seconds over which the mean square is averaged
+const DETECTOR_PLOT_WIDTH = 90; // Pixels for the largest RMS amplitude
+
+function createDetector(x1, y1, x2, y2) {
+  const samples = Math.max(2, Math.round(Math.hypot(x2 - x1, y2 - y1) / CELL_SIZE));
+  return { x1, y1, x2, y2, intensity: new Float32Array(samples) };
+}
+
+// A detector across the far side of the tank, clear of the right-hand beach
+function placeDefaultDetector() {
+  const x = canvas.width - BEACH_WIDTH - 40;
+  state.detector = createDetector(x, BEACH_WIDTH, x, canvas.height - BEACH_WIDTH);
+}
+
+function resetDetector() {
+  if (state.detector) state.detector.intensity.fill(0);
+}
+
+function detectorPoint(detector, i) {
+  const t = i / (detector.intensity.length - 1);
+  return {
+    x: detector.x1 + (detector.x2 - detector.x1) * t,
+    y: detector.y1 + (detector.y2 - detector.y1) * t
+  };
+}
+
+// Exponential moving average of u², so the profile settles to the mean
+// square amplitude while still following changes to the tank
+function updateDetector(dt) {
+  const detector = state.detector;
+  if (!detector || dt <= 0) return;
+  const alpha = Math.min(1, dt / DETECTOR_AVERAGING_TIME);
+  for (let i = 0; i < detector.intensity.length; i++) {
+    const p = detectorPoint(detector, i);
+    const value = waveField.getValue(p.x, p.y);
+    detector.intensity[i] += (value * value - detector.intensity[i]) * alpha;
+  }
+}
+
+function detectorRms(detector) {
+  return Array.from(detector.intensity, v => Math.sqrt(v));
+}
+
+// Distances along the detector of the bright fringes, skipping the weak
+// subsidiary maxima a grating produces between its principal ones
+function findFringePeaks(detector) {
+  const rms = detectorRms(detector);
+  const max = Math.max(...rms);
+  if (max <= 0) return [];
+  const spacing = Math.hypot(detector.x2 - detector.x1, detector.y2 - detector.y1) / (rms.length - 1);
+  const peaks = [];
+  for (let i = 1; i < rms.length - 1; i++) {
+    if (rms[i] >= max * 0.5 && rms[i] >= rms[i - 1] && rms[i] > rms[i + 1]) {
+      peaks.push(i * spacing);
+    }
+  }
+  return peaks;
+}
+
+// Predicted fringe data for the current slit barrier and detector:
+// λ = v/f, d = slit spacing, D = slits-to-detector distance
+function gratingPrediction() {
+  const barrier = state.grating.barrier;
+  const detector = state.detector;
+  if (!barrier || !detector || !state.barriers.includes(barrier)) return null;
+  const wavelength = expectedWavelength();
+  const slitX = (barrier.x1 + barrier.x2) / 2;
+  const slitY = (barrier.y1 + barrier.y2) / 2;
+  const distance = Math.abs((detector.x1 + detector.x2) / 2 - slitX);
+  return {
+    wavelength,
+    distance,
+    centreY: slitY,
+    spacing: state.grating.spacing,
+    fringeSpacing: (wavelength * distance) / state.grating.spacing
+  };
+}
+
+function updateFringeReadout() {
+  const readout = document.getElementById('fringeReadout');
+  const prediction = gratingPrediction();
+  if (!prediction) {
+    readout.textContent = '—';
+    return;
+  }
+  const peaks = findFringePeaks(state.detector);
+  let measured = '—';
+  if (peaks.length >= 2) {
+    measured = ((peaks[peaks.length - 1] - peaks[0]) / (peaks.length - 1)).toFixed(0) + ' px';
+  }
+  if (state.grating.count === 1) {
+    // A single slit has no fringe spacing; its first minima sit at λD/a
+    const firstMinimum = (prediction.wavelength * prediction.distance) / state.grating.width;
+    readout.textContent = `λD/a = ${firstMinimum.toFixed(0)} px to first minimum`;
+  } else {
+    readout.textContent = `measured ${measured}, λD/d = ${prediction.fringeSpacing.toFixed(0)} px`;
+  }
+}
+
+function drawDetector() {
+  const detector = state.detector;
+  if (!detector) return;
+  const length = Math.hypot(detector.x2 - detector.x1, detector.y2 - detector.y1) || 1;
+  // Plot on the side the slits are on for the default detector, drawn top to bottom
+  const nx = -(detector.y2 - detector.y1) / length;
+  const ny = (detector.x2 - detector.x1) / length;
+  const rms = detectorRms(detector);
+  const max = Math.max(state.amplitude * 0.5, ...rms);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(detector.x1, detector.y1);
+  ctx.lineTo(detector.x2, detector.y2);
+  ctx.lineTo(detector.x2 + nx * DETECTOR_PLOT_WIDTH, detector.y2 + ny * DETECTOR_PLOT_WIDTH);
+  ctx.lineTo(detector.x1 + nx * DETECTOR_PLOT_WIDTH, detector.y1 + ny * DETECTOR_PLOT_WIDTH);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.fill();
+
+  ctx.setLineDash([4, 4]);
+  ctx.strokeStyle = '#0f1720';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(detector.x1, detector.y1);
+  ctx.lineTo(detector.x2, detector.y2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.strokeStyle = '#0ea5a4';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  rms.forEach((value, i) => {
+    const p = detectorPoint(detector, i);
+    const offset = (value / max) * DETECTOR_PLOT_WIDTH;
+    if (i === 0) ctx.moveTo(p.x + nx * offset, p.y + ny * offset);
+    else ctx.lineTo(p.x + nx * offset, p.y + ny * offset);
+  });
+  ctx.stroke();
+
+  // Predicted bright fringes from d·sinθ = nλ
+  const prediction = gratingPrediction();
+  if (prediction && state.grating.count > 1) {
+    ctx.fillStyle = '#059669';
+    ctx.strokeStyle = '#059669';
+    ctx.font = '11px Inter, system-ui, Arial';
+    for (let n = -10; n <= 10; n++) {
+      const sinTheta = (n * prediction.wavelength) / prediction.spacing;
+      if (Math.abs(sinTheta) >= 1) continue;
+      const y = prediction.centreY + prediction.distance * Math.tan(Math.asin(sinTheta));
+      if (y < Math.min(detector.y1, detector.y2) || y > Math.max(detector.y1, detector.y2)) continue;
+      const x = detector.x1 + (detector.x2 - detector.x1) * ((y - detector.y1) / ((detector.y2 - detector.y1) || 1));
+      ctx.beginPath();
+      ctx.moveTo(x - 6, y);
+      ctx.lineTo(x + 6, y);
+      ctx.stroke();
+      ctx.fillText('n=' + n, x + 8, y + 4);
+    }
+  }
+  ctx.restore();
+}
+
+// ============ Stroboscope & Ruler ============
+let strobeSnapshot = null;
+
+// Called after every solver substep. A flash that falls inside the substep
+// is captured by interpolating between the two field buffers, so flashes
+// land at their exact instants rather than on the nearest animation frame.
+function captureStrobeFlash(time, subDt) {
+  const strobe = state.strobe;
+  if (!strobe.enabled) return;
+  while (strobe.nextFlash <= time) {
+    const t = Math.max(0, Math.min(1, 1 - (time - strobe.nextFlash) / subDt));
+    const size = waveField.cols * waveField.rows;
+    if (!strobeSnapshot || strobeSnapshot.length !== size) {
+      strobeSnapshot = new Float32Array(size);
+    }
+    waveField.blend(t, strobeSnapshot);
+    strobe.nextFlash += 1 / strobe.frequency;
+  }
+}
+
+function setStrobeEnabled(enabled) {
+  state.strobe.enabled = enabled;
+  state.strobe.nextFlash = state.time;
+  strobeSnapshot = enabled ? Float32Array.from(waveField.current) : null;
+  updateStrobeReadout();
+}
+
+// The strobe aliases the wave frequency down to f − n·f_flash, so the
+// pattern seems to creep forwards, backwards or stand still
+function apparentFrequency() {
+  const ratio = state.frequency / state.strobe.frequency;
+  return (ratio - Math.round(ratio)) * state.strobe.frequency;
+}
+
+function updateStrobeReadout() {
+  const btn = document.getElementById('strobeBtn');
+  btn.classList.toggle('active', state.strobe.enabled);
+  btn.textContent = state.strobe.enabled ? 'Strobe: On' : 'Strobe: Off';
+  const apparent = apparentFrequency();
+  let description;
+  if (Math.abs(apparent) < 0.05) description = 'waves appear frozen';
+  else description = `waves drift ${apparent > 0 ? 'forwards' : 'backwards'} at ${Math.abs(apparent).toFixed(2)} Hz`;
+  document.getElementById('strobeReadout').textContent = state.strobe.enabled ? description : '—';
+}
+
+function rulerLength(ruler) {
+  return Math.hypot(ruler.x2 - ruler.x1, ruler.y2 - ruler.y1);
+}
+
+// Compares the ruler reading with λ = v/f at the ruler's midpoint, so a
+// ruler laid over a shallow region is checked against the slower speed
+function updateRulerReadout() {
+  const readout = document.getElementById('rulerReadout');
+  const ruler = state.ruler;
+  if (!ruler) {
+    readout.textContent = '—';
+    return;
+  }
+  const measured = rulerLength(ruler) / state.rulerCrests;
+  const speed = waveField.getSpeed((ruler.x1 + ruler.x2) / 2, (ruler.y1 + ruler.y2) / 2) || state.waveSpeed;
+  const expected = speed / state.frequency;
+  const error = ((measured - expected) / expected) * 100;
+  readout.textContent = `λ = ${measured.toFixed(1)} px, v/f = ${expected.toFixed(1)} px (${error >= 0 ? '+' : ''}${error.toFixed(0)}%)`;
+}
+
+function drawRuler() {
+  const ruler = state.ruler;
+  if (!ruler) return;
+  const length = rulerLength(ruler);
+  if (length === 0) return;
+  const ux = (ruler.x2 - ruler.x1) / length;
+  const uy = (ruler.y2 - ruler.y1) / length;
+  const nx = -uy;
+  const ny = ux;
+
+  ctx.save();
+  ctx.strokeStyle = '#0f1720';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(ruler.x1, ruler.y1);
+  ctx.lineTo(ruler.x2, ruler.y2);
+  // Long ticks at the ends, short ticks at each wavelength in between
+  for (let i = 0; i <= state.rulerCrests; i++) {
+    const tick = i === 0 || i === state.rulerCrests ? 10 : 5;
+    const d = (length * i) / state.rulerCrests;
+    const x = ruler.x1 + ux * d;
+    const y = ruler.y1 + uy * d;
+    ctx.moveTo(x - nx * tick, y - ny * tick);
+    ctx.lineTo(x + nx * tick, y + ny * tick);
+  }
+  ctx.stroke();
+
+  const label = `${length.toFixed(0)} px`;
+  const mx = (ruler.x1 + ruler.x2) / 2 + nx * 18;
+  const my = (ruler.y1 + ruler.y2) / 2 + ny * 18;
+  ctx.font = '12px Inter, system-ui, Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.fillRect(mx - 28, my - 9, 56, 18);
+  ctx.fillStyle = '#0f1720';
+  ctx.fillText(label, mx, my);
+  ctx.restore();
+}
+
+// ============ Interference Overlay ============
+const NODAL_SAMPLES = 120;
+const NODAL_LABEL_RADIUS = 0.35; // Fraction of the smaller canvas side
+
+// The overlay needs exactly two point sources at the same frequency
+function interferingPair() {
+  const sources = state.sources;
+  if (sources.length !== 2 || sources.some(s => s.type !== 'point')) return null;
+  if (Math.abs(sources[0].frequency - sources[1].frequency) > 1e-6) return null;
+  return sources;
+}
+
+// Path difference r₁ − r₂ from the two sources, and the same in wavelengths
+// after allowing for any phase offset between them
+function pathDifference(x, y) {
+  const pair = interferingPair();
+  if (!pair) return null;
+  const [s1, s2] = pair;
+  const wavelength = state.waveSpeed / s1.frequency;
+  const difference = Math.hypot(x - s1.x, y - s1.y) - Math.hypot(x - s2.x, y - s2.y);
+  const phaseShift = ((s1.phase - s2.phase) / (2 * Math.PI)) * wavelength;
+  return { difference, wavelength, order: (difference - phaseShift) / wavelength };
+}
+
+// Points where r₁ − r₂ = difference: one branch of a hyperbola with the
+// sources at its foci (or the perpendicular bisector when difference = 0)
+function hyperbolaPoints(s1, s2, difference) {
+  const cx = (s1.x + s2.x) / 2;
+  const cy = (s1.y + s2.y) / 2;
+  const separation = Math.hypot(s2.x - s1.x, s2.y - s1.y);
+  const ux = (s2.x - s1.x) / separation;
+  const uy = (s2.y - s1.y) / separation;
+  const a = difference / 2;
+  const b = Math.sqrt(Math.max(0, (separation / 2) ** 2 - a * a));
+  const reach = Math.hypot(canvas.width, canvas.height);
+  const tMax = Math.asinh(reach / Math.max(b, 1));
+  const points = [];
+  for (let i = 0; i <= NODAL_SAMPLES; i++) {
+    const t = -tMax + (2 * tMax * i) / NODAL_SAMPLES;
+    const along = a * Math.cosh(t);
+    const across = b * Math.sinh(t);
+    points.push({ x: cx + ux * along - uy * across, y: cy + uy * along + ux * across });
+  }
+  return points;
+}
+
+function formatOrder(order) {
+  const whole = Math.floor(Math.abs(order));
+  const half = Math.abs(order) - whole > 0.25;
+  const sign = order < 0 ? '−' : '';
+  if (!half) return sign + whole;
+  return sign + (whole === 0 ? '' : whole) + '½';
+}
+
+function drawNodalLines() {
+  if (!state.nodalLines) return;
+  const pair = interferingPair();
+  if (!pair) return;
+  const [s1, s2] = pair;
+  const wavelength = state.waveSpeed / s1.frequency;
+  const separation = Math.hypot(s2.x - s1.x, s2.y - s1.y);
+  const phaseShift = ((s1.phase - s2.phase) / (2 * Math.PI)) * wavelength;
+  const cx = (s1.x + s2.x) / 2;
+  const cy = (s1.y + s2.y) / 2;
+  const labelRadius = Math.min(canvas.width, canvas.height) * NODAL_LABEL_RADIUS;
+
+  ctx.save();
+  ctx.font = '12px Inter, system-ui, Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  // Antinodes at whole orders, nodes at half orders
+  const maxOrder = Math.ceil(separation / wavelength) + 1;
+  for (let n2 = -2 * maxOrder; n2 <= 2 * maxOrder; n2++) {
+    const order = n2 / 2;
+    const difference = order * wavelength + phaseShift;
+    if (Math.abs(difference) >= separation) continue;
+    const antinodal = n2 % 2 === 0;
+    const points = hyperbolaPoints(s1, s2, difference);
+
+    ctx.strokeStyle = antinodal ? 'rgba(220, 38, 38, 0.8)' : 'rgba(15, 23, 32, 0.7)';
+    ctx.lineWidth = antinodal ? 2 : 1.5;
+    ctx.setLineDash(antinodal ? [] : [6, 5]);
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.stroke();
+
+    // Label where the branch crosses a circle around the sources
+    const label = points.slice(NODAL_SAMPLES / 2).find(p => Math.hypot(p.x - cx, p.y - cy) >= labelRadius);
+    if (!label) continue;
+    const text = formatOrder(order);
+    const width = ctx.measureText(text).width + 8;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(label.x - width / 2, label.y - 9, width, 18);
+    ctx.fillStyle = antinodal ? '#dc2626' : '#0f1720';
+    ctx.fillText(text, label.x, label.y);
+  }
+  ctx.restore();
+}
+
+function drawPathDifference() {
+  if (!state.nodalLines || !state.hover) return;
+  const info = pathDifference(state.hover.x, state.hover.y);
+  if (!info) return;
+  const text = `r₁ − r₂ = ${info.difference.toFixed(0)} px = ${info.order.toFixed(2)} λ`;
+
+  ctx.save();
+  ctx.font = '12px Inter, system-ui, Arial';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  const width = ctx.measureText(text).width + 12;
+  const x = Math.min(state.hover.x + 14, canvas.width - width - 4);
+  const y = Math.max(state.hover.y - 18, 12);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+  ctx.fillRect(x, y - 10, width, 20);
+  ctx.fillStyle = '#0f1720';
+  ctx.fillText(text, x + 6, y);
+  ctx.restore();
+}
+
+function setNodalLines(enabled) {
+  state.nodalLines = enabled;
+  const btn = document.getElementById('nodalBtn');
+  btn.classList.toggle('active', enabled);
+  btn.textContent = 'Nodal Lines: ' + (enabled ? 'On' : 'Off');
+}
+
+// ============ Probes & Cross-Section ============
+const PROBE_HISTORY = 4; // Seconds shown in the time plot
+const PROBE_RADIUS = 7;
+const PROBE_COLORS = ['#dc2626', '#2563eb', '#059669', '#d97706', '#7c3aed', '#db2777'];
+const SECTION_SAMPLES = 200;
+
+function probeColor(index) {
+  return PROBE_COLORS[index % PROBE_COLORS.length];
+}
+
+function addProbe(x, y) {
+  const probe = { x, y, history: [] };
+  state.probes.push(probe);
+  updateGraphPanel();
+  return probe;
+}
+
+// One reading per animation frame; the plot only needs to look smooth
+function sampleProbes(dt) {
+  if (dt <= 0) return;
+  state.probes.forEach(probe => {
+    probe.history.push({ time: state.time, value: waveField.getValue(probe.x, probe.y) });
+    while (probe.history.length > 0 && probe.history[0].time < state.time - PROBE_HISTORY) {
+      probe.history.shift();
+    }
+  });
+}
+
+function sectionLength(section) {
+  return Math.hypot(section.x2 - section.x1, section.y2 - section.y1);
+}
+
+function sectionProfile(section) {
+  const length = sectionLength(section);
+  const points = [];
+  for (let i = 0; i <= SECTION_SAMPLES; i++) {
+    const t = i / SECTION_SAMPLES;
+    const x = section.x1 + (section.x2 - section.x1) * t;
+    const y = section.y1 + (section.y2 - section.y1) * t;
+    points.push({ x: length * t, y: waveField.getValue(x, y) });
+  }
+  return points;
+}
+
+// Upward zero crossings in a probe's history, interpolated between samples
+function probeCrossings(probe) {
+  const crossings = [];
+  const history = probe.history;
+  for (let i = 1; i < history.length; i++) {
+    const a = history[i - 1];
+    const b = history[i];
+    if (a.value < 0 && b.value >= 0) {
+      crossings.push(a.time + (b.time - a.time) * (-a.value / (b.value - a.value)));
+    }
+  }
+  return crossings;
+}
+
+function probeStats(probe) {
+  const amplitude = probe.history.reduce((max, s) => Math.max(max, Math.abs(s.value)), 0);
+  const crossings = probeCrossings(probe);
+  const period = crossings.length >= 2
+    ? (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1)
+    : 0;
+  return { amplitude, period, lastCrossing: crossings.length ? crossings[crossings.length - 1] : null };
+}
+
+// How far the second probe lags the first, as an angle in [0°, 360°)
+function phaseDifference(first, second) {
+  if (!first.period || first.lastCrossing === null || second.lastCrossing === null) return null;
+  const cycles = (second.lastCrossing - first.lastCrossing) / first.period;
+  return (((cycles % 1) + 1) % 1) * 360;
+}
+
+function drawProbes() {
+  ctx.save();
+  ctx.font = '11px Inter, system-ui, Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  state.probes.forEach((probe, i) => {
+    ctx.fillStyle = probeColor(i);
+    ctx.strokeStyle = '#ffffff';
     ctx.lineWidth = 2;
     ctx.beginPath();
-    ctx.arc(source.x, source.y, 6, 0, Math.PI * 2);
+    ctx.arc(probe.x, probe.y, PROBE_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
     ctx.stroke();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText('P' + (i + 1), probe.x, probe.y);
+  });
+
+  const section = state.section;
+  if (section && sectionLength(section) > 0) {
+    ctx.strokeStyle = '#0f1720';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 4]);
+    ctx.beginPath();
+    ctx.moveTo(section.x1, section.y1);
+    ctx.lineTo(section.x2, section.y2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    // Mark the start so the plot's position axis has a direction
+    ctx.fillStyle = '#0f1720';
+    ctx.beginPath();
+    ctx.arc(section.x1, section.y1, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = '12px Inter, system-ui, Arial';
+    ctx.fillText('A', section.x1 - 10, section.y1 - 10);
+    ctx.fillText('B', section.x2 + 10, section.y2 - 10);
+  }
+  ctx.restore();
+}
+
+// Line graph of traces [{ color, points: [{ x, y }] }] on one of the panel canvases
+function drawGraph(plot, traces, xMin, xMax, yMax, xLabel) {
+  const g = plot.getContext('2d');
+  const w = plot.width;
+  const h = plot.height;
+  const left = 28;
+  const bottom = h - 16;
+  const mid = bottom / 2;
+  g.clearRect(0, 0, w, h);
+
+  g.strokeStyle = '#cbd5e1';
+  g.lineWidth = 1;
+  g.beginPath();
+  g.moveTo(left, mid);
+  g.lineTo(w, mid);
+  g.moveTo(left, 0);
+  g.lineTo(left, bottom);
+  g.stroke();
+
+  g.fillStyle = '#475569';
+  g.font = '10px Inter, system-ui, Arial';
+  g.textAlign = 'right';
+  g.textBaseline = 'middle';
+  g.fillText('+' + Math.round(yMax), left - 3, 6);
+  g.fillText('0', left - 3, mid);
+  g.fillText('−' + Math.round(yMax), left - 3, bottom - 6);
+  g.textAlign = 'center';
+  g.textBaseline = 'bottom';
+  g.fillText(xLabel, (left + w) / 2, h);
+
+  traces.forEach(trace => {
+    g.strokeStyle = trace.color;
+    g.lineWidth = 1.5;
+    g.beginPath();
+    trace.points.forEach((p, i) => {
+      const px = left + ((p.x - xMin) / (xMax - xMin)) * (w - left);
+      const py = mid - Math.max(-1, Math.min(1, p.y / yMax)) * (mid - 2);
+      if (i === 0) g.moveTo(px, py);
+      else g.lineTo(px, py);
+    });
+    g.stroke();
+  });
+}
+
+function updateGraphPanel() {
+  const hasSection = state.section !== null;
+  const hasProbes = state.probes.length > 0;
+  document.getElementById('graphPanel').style.display = hasSection || hasProbes ? 'block' : 'none';
+  document.getElementById('sectionGraph').style.display = hasSection ? 'block' : 'none';
+  document.getElementById('probeGraph').style.display = hasProbes ? 'block' : 'none';
+}
+
+function drawGraphPanel() {
+  const yMax = state.amplitude * 1.5;
+  const section = state.section;
+  if (section) {
+    const length = sectionLength(section);
+    drawGraph(document.getElementById('sectionPlot'), [{ color: '#0f1720', points: sectionProfile(section) }],
+      0, Math.max(length, 1), yMax, `position A → B (${length.toFixed(0)} px)`);
+  }
+  if (state.probes.length === 0) return;
+
+  drawGraph(document.getElementById('probePlot'),
+    state.probes.map((probe, i) => ({
+      color: probeColor(i),
+      points: probe.history.map(s => ({ x: s.time, y: s.value }))
+    })),
+    state.time - PROBE_HISTORY, state.time, yMax, `last ${PROBE_HISTORY} s`);
+
+  const stats = state.probes.map(probeStats);
+  const lines = stats.map((s, i) => {
+    const period = s.period ? `T = ${s.period.toFixed(2)} s` : 'T = —';
+    return `P${i + 1}: A = ${s.amplitude.toFixed(1)}, ${period}`;
+  });
+  if (stats.length >= 2) {
+    const phase = phaseDifference(stats[0], stats[1]);
+    lines.push(`P2 lags P1 by ${phase === null ? '—' : phase.toFixed(0) + '°'}`);
+  }
+  document.getElementById('probeReadout').innerHTML = lines.join('<br>');
+}
+
+// ============ Geometry Helpers ============
+function closestPointOnSegment(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lenSq = dx * dx + dy * dy;
+  const t = lenSq !== 0 ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lenSq)) : 0;
+  const x = x1 + t * dx;
+  const y = y1 + t * dy;
+  return { x, y, t, distance: Math.hypot(px - x, py - y) };
+}
+
+const CURVE_SAMPLES = 48;
+
+const BARRIER_SHAPES = { line: 'Straight', parabola: 'Parabolic', arc: 'Circular Arc' };
+const REGION_SHAPES = { rect: 'Rectangle', convex: 'Convex Lens', concave: 'Concave Lens', prism: 'Prism' };
+
+function chordLength(barrier) {
+  return Math.hypot(barrier.x2 - barrier.x1, barrier.y2 - barrier.y1);
+}
+
+// Points along a barrier. Curved barriers bulge off the chord from (x1, y1)
+// to (x2, y2) by `sagitta` pixels at their middle, measured to the left of
+// the chord direction, so moving and rotating the chord carries the curve.
+function barrierPath(barrier) {
+  const shape = barrier.shape || 'line';
+  const sagitta = barrier.sagitta || 0;
+  if (shape === 'line' || sagitta === 0) {
+    return [{ x: barrier.x1, y: barrier.y1 }, { x: barrier.x2, y: barrier.y2 }];
+  }
+
+  const half = chordLength(barrier) / 2;
+  if (half === 0) return [{ x: barrier.x1, y: barrier.y1 }];
+  const ux = (barrier.x2 - barrier.x1) / (half * 2);
+  const uy = (barrier.y2 - barrier.y1) / (half * 2);
+  const nx = uy;
+  const ny = -ux;
+  const mx = (barrier.x1 + barrier.x2) / 2;
+  const my = (barrier.y1 + barrier.y2) / 2;
+  const depth = Math.abs(sagitta);
+  const radius = (half * half + depth * depth) / (2 * depth);
+
+  const points = [];
+  for (let i = 0; i <= CURVE_SAMPLES; i++) {
+    const u = -1 + (2 * i) / CURVE_SAMPLES;
+    const along = u * half;
+    const offset = shape === 'arc'
+      ? Math.sign(sagitta) * (Math.sqrt(Math.max(0, radius * radius - along * along)) - (radius - depth))
+      : sagitta * (1 - u * u);
+    points.push({ x: mx + ux * along + nx * offset, y: my + uy * along + ny * offset });
+  }
+  return points;
+}
+
+function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+function barrierLength(barrier) {
+  return pathLength(barrierPath(barrier));
+}
+
+// Position and unit tangent at a given distance along a polyline
+function pointAlongPath(points, distance) {
+  let travelled = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) continue;
+    if (travelled + length >= distance || i === points.length - 1) {
+      const t = Math.max(0, Math.min(1, (distance - travelled) / length));
+      return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        ux: (b.x - a.x) / length,
+        uy: (b.y - a.y) / length
+      };
+    }
+    travelled += length;
+  }
+  return { x: points[0].x, y: points[0].y, ux: 1, uy: 0 };
+}
+
+// Nearest point on a barrier, with its distance along the barrier
+function closestPointOnBarrier(px, py, barrier) {
+  const points = barrierPath(barrier);
+  let best = { x: points[0].x, y: points[0].y, distance: Infinity, along: 0 };
+  let travelled = 0;
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const hit = closestPointOnSegment(px, py, a.x, a.y, b.x, b.y);
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (hit.distance < best.distance) {
+      best = { x: hit.x, y: hit.y, distance: hit.distance, along: travelled + hit.t * length };
+    }
+    travelled += length;
+  }
+  return best;
+}
+
+// Focus of a parabolic reflector, on the concave side of its vertex
+function parabolaFocus(barrier) {
+  if (barrier.shape !== 'parabola' || !barrier.sagitta) return null;
+  const half = chordLength(barrier) / 2;
+  const focalLength = (half * half) / (4 * Math.abs(barrier.sagitta));
+  const ux = (barrier.x2 - barrier.x1) / (half * 2);
+  const uy = (barrier.y2 - barrier.y1) / (half * 2);
+  const offset = barrier.sagitta - Math.sign(barrier.sagitta) * focalLength;
+  return {
+    x: (barrier.x1 + barrier.x2) / 2 + uy * offset,
+    y: (barrier.y1 + barrier.y2) / 2 - ux * offset
+  };
+}
+
+// Solid pieces of a barrier once its gaps have been cut out, as polylines
+function barrierSegments(barrier) {
+  const points = barrierPath(barrier);
+  const length = pathLength(points);
+  if (length === 0) return [];
+  const openings = state.gaps
+    .filter(gap => gap.barrier === barrier)
+    .map(gap => [gap.offset - gap.width / 2, gap.offset + gap.width / 2])
+    .sort((a, b) => a[0] - b[0]);
+
+  const intervals = [];
+  let from = 0;
+  openings.forEach(([start, end]) => {
+    if (start > from) intervals.push([from, Math.min(start, length)]);
+    from = Math.max(from, end);
   });
-}
+  if (from < length) intervals.push([from, length]);
 
-// ============ Wave Generation ============
-function generateWaves() {
-  waveField.clear();
-  const time = state.time;
-  const wavelength = state.waveSpeed / state.frequency;
-  const k = 2 * Math.PI / wavelength; // wave number
-  const omega = 2 * Math.PI * state.frequency; // angular frequency
-
-  if (state.waveMode === 'plane') {
-    // Generate plane waves from left
-    const step = 2; // Sampling step for performance
-    for (let y = 0; y < canvas.height; y += step) {
-      for (let x = 0; x < canvas.width; x += step) {
-        // Check if point is behind a barrier (reflection)
-        let blocked = false;
-        let reflected = false;
-        let reflectionPhase = 0;
-        
-        for (const barrier of state.barriers) {
-          if (isPointBehindBarrier(x, y, barrier)) {
-            // Calculate reflection
-            const barrierAngle = Math.atan2(barrier.y2 - barrier.y1, barrier.x2 - barrier.x1);
-            const normalAngle = barrierAngle + Math.PI / 2;
-            
-            // Calculate distance to barrier for reflection
-            const distToBarrier = distanceToLine(x, y, barrier.x1, barrier.y1, barrier.x2, barrier.y2);
-            const incidentPhase = k * (x - distToBarrier * 2) - omega * time;
-            reflectionPhase = -incidentPhase; // Reflection inverts phase
-            reflected = true;
-            blocked = false; // Allow reflection
-            break;
-          }
-        }
-        
-        if (blocked && !reflected) continue;
+  return intervals.map(([a, b]) => slicePath(points, a, b));
+}
 
-        let phase = k * x - omega * time;
-        if (reflected) {
-          phase = reflectionPhase;
-        }
-        
-        let amplitude = state.amplitude;
-        let localK = k;
-        let localSpeed = state.waveSpeed;
-        
-        // Check if in shallow region (refraction - slower speed, shorter wavelength)
-        for (const region of state.shallowRegions) {
-          if (x >= region.x && x < region.x + region.width &&
-              y >= region.y && y < region.y + region.height) {
-            localSpeed = state.waveSpeed * 0.6; // Slower in shallow water
-            localK = 2 * Math.PI / (localSpeed / state.frequency);
-            amplitude *= 0.8; // Slightly reduced amplitude
-            phase = localK * x - omega * time;
-            break;
-          }
-        }
-        
-        waveField.addWave(x, y, amplitude, phase);
-      }
-    }
-  } else if (state.waveMode === 'point' || state.waveMode === 'twoPoints') {
-    // Generate circular waves from point sources
-    state.pointSources.forEach(source => {
-      const sourceTime = time - source.time;
-      if (sourceTime < 0) return;
-      
-      const step = 2; // Sampling step for performance
-      for (let y = 0; y < canvas.height; y += step) {
-        for (let x = 0; x < canvas.width; x += step) {
-          const dx = x - source.x;
-          const dy = y - source.y;
-          const distance = Math.sqrt(dx * dx + dy * dy);
-          const phase = k * distance - omega * sourceTime;
-          
-          // Circular wave amplitude decreases with distance
-          const amplitude = state.amplitude * (1 / (1 + distance / 200));
-          
-          // Check barriers for reflection
-          let blocked = false;
-          for (const barrier of state.barriers) {
-            if (isPointBlockedByBarrier(x, y, source.x, source.y, barrier)) {
-              blocked = true;
-              break;
-            }
-          }
-          if (blocked) continue;
-          
-          waveField.addWave(x, y, amplitude, phase);
-        }
-      }
-    });
+function slicePath(points, from, to) {
+  const piece = [pointAlongPath(points, from)];
+  let travelled = 0;
+  for (let i = 1; i < points.length; i++) {
+    travelled += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    if (travelled > from && travelled < to) piece.push(points[i]);
   }
+  piece.push(pointAlongPath(points, to));
+  return piece;
 }
 
-function isPointBehindBarrier(x, y, barrier) {
-  // Check if point is on the "reflection side" of the barrier
-  const dx = barrier.x2 - barrier.x1;
-  const dy = barrier.y2 - barrier.y1;
-  const px = x - barrier.x1;
-  const py = y - barrier.y1;
-  const cross = dx * py - dy * px;
-  return cross < 0; // Point is on one side
+function gapEndpoints(gap) {
+  const points = barrierPath(gap.barrier);
+  const length = pathLength(points);
+  return {
+    start: pointAlongPath(points, Math.max(0, gap.offset - gap.width / 2)),
+    end: pointAlongPath(points, Math.min(length, gap.offset + gap.width / 2))
+  };
 }
 
-function isPointBlockedByBarrier(x, y, sourceX, sourceY, barrier) {
-  // Check if line from source to point intersects barrier
-  return lineIntersectsLine(sourceX, sourceY, x, y, barrier.x1, barrier.y1, barrier.x2, barrier.y2);
+// Shallow regions live in a local frame (u across, v along their height)
+// centred on the region and turned by its angle.
+function toRegionFrame(px, py, region) {
+  const angle = region.angle || 0;
+  const dx = px - (region.x + region.width / 2);
+  const dy = py - (region.y + region.height / 2);
+  return {
+    u: dx * Math.cos(angle) + dy * Math.sin(angle),
+    v: -dx * Math.sin(angle) + dy * Math.cos(angle)
+  };
 }
 
-function lineIntersectsLine(x1, y1, x2, y2, x3, y3, x4, y4) {
-  const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
-  if (Math.abs(denom) < 0.001) return false;
-  
-  const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
-  const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
-  
-  return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+function fromRegionFrame(u, v, region) {
+  const angle = region.angle || 0;
+  return {
+    x: region.x + region.width / 2 + u * Math.cos(angle) - v * Math.sin(angle),
+    y: region.y + region.height / 2 + u * Math.sin(angle) + v * Math.cos(angle)
+  };
+}
+
+// Half-thickness of a shallow region at local height v. Lenses use a
+// parabolic profile; the prism's apex points towards negative v.
+function regionHalfWidth(region, v) {
+  const halfW = region.width / 2;
+  const y = v / (region.height / 2);
+  switch (region.shape) {
+    case 'convex': return halfW * (1 - y * y);
+    case 'concave': return halfW * (0.2 + 0.8 * y * y);
+    case 'prism': return halfW * (y + 1) / 2;
+    default: return halfW;
+  }
 }
 
-function distanceToLine(px, py, x1, y1, x2, y2) {
-  const A = px - x1;
-  const B = py - y1;
-  const C = x2 - x1;
-  const D = y2 - y1;
-  const dot = A * C + B * D;
-  const lenSq = C * C + D * D;
-  const param = lenSq !== 0 ? dot / lenSq : -1;
-  const xx = x1 + param * C;
-  const yy = y1 + param * D;
-  const dx = px - xx;
-  const dy = py - yy;
-  return Math.sqrt(dx * dx + dy * dy);
+function pointInShallowRegion(px, py, region) {
+  const { u, v } = toRegionFrame(px, py, region);
+  return Math.abs(v) <= region.height / 2 && Math.abs(u) <= regionHalfWidth(region, v);
+}
+
+function regionOutline(region) {
+  const halfH = region.height / 2;
+  const right = [];
+  const left = [];
+  for (let i = 0; i <= CURVE_SAMPLES; i++) {
+    const v = -halfH + (region.height * i) / CURVE_SAMPLES;
+    const halfW = regionHalfWidth(region, v);
+    right.push(fromRegionFrame(halfW, v, region));
+    left.unshift(fromRegionFrame(-halfW, v, region));
+  }
+  return right.concat(left);
+}
+
+function regionBounds(region) {
+  const outline = regionOutline(region);
+  return {
+    minX: Math.min(...outline.map(p => p.x)),
+    minY: Math.min(...outline.map(p => p.y)),
+    maxX: Math.max(...outline.map(p => p.x)),
+    maxY: Math.max(...outline.map(p => p.y))
+  };
 }
 
 // ============ Demonstration Setup ============
@@ -311,7 +2387,7 @@ function setupReflection() {
     x2: centerX + length * Math.cos(angle),
     y2: centerY + length * Math.sin(angle)
   });
-  state.waveMode = 'plane';
+  state.sources = [createPlaneSource()];
   updateModeButtons();
 }
 
@@ -325,7 +2401,7 @@ function setupRefraction() {
     width: 200,
     height: 200
   });
-  state.waveMode = 'plane';
+  state.sources = [createPlaneSource()];
   updateModeButtons();
 }
 
@@ -335,19 +2411,97 @@ function setupDiffraction() {
   // Add barrier with gap
   const gapY = canvas.height * 0.5;
   const gapWidth = 80;
-  state.barriers.push({
+  const barrier = {
     x1: canvas.width * 0.6,
     y1: 0,
     x2: canvas.width * 0.6,
-    y2: gapY - gapWidth / 2
-  });
-  state.barriers.push({
-    x1: canvas.width * 0.6,
-    y1: gapY + gapWidth / 2,
-    x2: canvas.width * 0.6,
     y2: canvas.height
+  };
+  state.barriers.push(barrier);
+  state.gaps.push({ barrier, offset: gapY, width: gapWidth });
+  state.sources = [createPlaneSource()];
+  updateModeButtons();
+}
+
+function setupParabolicMirror() {
+  clearAll();
+  state.demonstrations.parabolicMirror = true;
+  // Concave side faces the incoming plane waves, which gather at the focus
+  const x = canvas.width * 0.75;
+  const half = canvas.height * 0.35;
+  const focalLength = 120;
+  state.barriers.push({
+    x1: x,
+    y1: canvas.height * 0.5 - half,
+    x2: x,
+    y2: canvas.height * 0.5 + half,
+    shape: 'parabola',
+    sagitta: (half * half) / (4 * focalLength)
+  });
+  state.sources = [createPlaneSource()];
+  updateModeButtons();
+}
+
+function setupLens() {
+  clearAll();
+  state.demonstrations.lens = true;
+  // Waves slow down in the thick middle of the lens, so the wavefronts converge
+  const height = canvas.height * 0.6;
+  state.shallowRegions.push({
+    x: canvas.width * 0.4,
+    y: canvas.height * 0.5 - height / 2,
+    width: 140,
+    height,
+    angle: 0,
+    shape: 'convex'
   });
-  state.waveMode = 'plane';
+  state.sources = [createPlaneSource()];
+  updateModeButtons();
+}
+
+function setupSlits() {
+  clearAll();
+  state.demonstrations.slits = true;
+  buildSlits();
+  placeDefaultDetector();
+  state.sources = [createPlaneSource()];
+  updateModeButtons();
+}
+
+// Replaces the slit barrier with one holding the configured slits, centred
+// in the tank. Keeps the wave field running so slider changes are live.
+function buildSlits() {
+  const old = state.grating.barrier;
+  if (old) {
+    state.barriers = state.barriers.filter(b => b !== old);
+    state.gaps = state.gaps.filter(g => g.barrier !== old);
+  }
+  const { count, width, spacing } = state.grating;
+  const x = canvas.width * 0.35;
+  const barrier = { x1: x, y1: 0, x2: x, y2: canvas.height, shape: 'line', sagitta: 0 };
+  state.barriers.push(barrier);
+  for (let i = 0; i < count; i++) {
+    const offset = canvas.height / 2 + (i - (count - 1) / 2) * spacing;
+    if (offset - width / 2 < 0 || offset + width / 2 > canvas.height) continue;
+    state.gaps.push({ barrier, offset, width });
+  }
+  state.grating.barrier = barrier;
+  markMediumChanged();
+  resetDetector();
+}
+
+function setupDoppler() {
+  clearAll();
+  state.demonstrations.doppler = true;
+  // One source crossing the tank; listeners ahead of and behind it
+  const y = canvas.height * 0.5;
+  const x1 = BEACH_WIDTH + 60;
+  const x2 = canvas.width - BEACH_WIDTH - 60;
+  state.sources = [createSource('point', x1, y, {
+    motion: { x1, y1: y, x2, y2: y, speed: state.sourceSpeed, distance: 0, startTime: state.time }
+  })];
+  addListener(x1 - 30, y - 80);
+  addListener(x2 + 30, y - 80);
   updateModeButtons();
 }
 
@@ -355,15 +2509,63 @@ function setupInterference() {
   clearAll();
   state.demonstrations.interference = true;
   // Two point sources
-  state.pointSources = [
-    { x: canvas.width * 0.4, y: canvas.height * 0.5, time: state.time },
-    { x: canvas.width * 0.6, y: canvas.height * 0.5, time: state.time }
+  state.sources = [
+    createSource('point', canvas.width * 0.4, canvas.height * 0.5),
+    createSource('point', canvas.width * 0.6, canvas.height * 0.5)
+  ];
+  setNodalLines(true);
+  updateModeButtons();
+}
+
+// Same as the interference setup but the sources push and pull in opposite
+// directions, so the centre line becomes a node instead of an antinode
+function setupAntiphase() {
+  setupInterference();
+  state.sources[1].phase = Math.PI;
+  updateModeButtons();
+}
+
+// Two sources a little apart in frequency: the pattern swells and fades at
+// the difference frequency. A listener in front picks up the beats.
+function setupBeats() {
+  clearAll();
+  state.sources = [
+    createSource('point', canvas.width * 0.3, canvas.height * 0.4),
+    createSource('point', canvas.width * 0.3, canvas.height * 0.6, { frequency: state.frequency + 0.5 })
   ];
-  state.waveMode = 'twoPoints';
+  addListener(canvas.width * 0.65, canvas.height * 0.5);
+  updateModeButtons();
+}
+
+const ARRAY_ELEMENTS = 8;
+const ARRAY_SPACING = 14; // Pixels, under half a wavelength to avoid side beams
+
+function setupPhasedArray() {
+  clearAll();
+  state.demonstrations.phasedArray = true;
+  const x = BEACH_WIDTH + 80;
+  for (let i = 0; i < ARRAY_ELEMENTS; i++) {
+    const y = canvas.height / 2 + (i - (ARRAY_ELEMENTS - 1) / 2) * ARRAY_SPACING;
+    state.sources.push(createSource('point', x, y));
+  }
+  steerPhasedArray();
   updateModeButtons();
 }
 
+// Delays each element so the wavefronts line up at the steering angle:
+// φ_i = −k·y_i·sin θ
+function steerPhasedArray() {
+  if (!state.demonstrations.phasedArray) return;
+  const angle = state.arraySteer * Math.PI / 180;
+  const centreY = state.sources.reduce((sum, s) => sum + s.y, 0) / state.sources.length;
+  state.sources.forEach(source => {
+    const k = (2 * Math.PI * source.frequency) / state.waveSpeed;
+    source.phase = -k * (source.y - centreY) * Math.sin(angle);
+  });
+}
+
 function clearAll() {
+  markMediumChanged();
   state.barriers = [];
   state.shallowRegions = [];
   state.gaps = [];
@@ -371,67 +2573,705 @@ function clearAll() {
     reflection: false,
     refraction: false,
     diffraction: false,
-    interference: false
+    interference: false,
+    parabolicMirror: false,
+    lens: false,
+    slits: false,
+    doppler: false,
+    phasedArray: false
+  };
+  state.listeners = [];
+  setDepthProfile(() => 1);
+  state.grating.barrier = null;
+  state.detector = null;
+  updateDetectorButton();
+  state.sources = [createSource('point', canvas.width * 0.5, canvas.height * 0.5)];
+  waveField.clear();
+  selectObject(null);
+}
+
+// ============ Tank Editing ============
+const DEFAULT_GAP_WIDTH = 60;
+const MIN_DRAW_SIZE = 10; // Ignore accidental clicks while drawing
+const HIT_TOLERANCE = 10;
+let pointerAction = null;
+
+function canvasPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) * (canvas.width / rect.width),
+    y: (e.clientY - rect.top) * (canvas.height / rect.height)
+  };
+}
+
+function hitTest(x, y) {
+  for (let i = state.sources.length - 1; i >= 0; i--) {
+    const source = state.sources[i];
+    if (sourceDistance(source, x, y) <= HIT_TOLERANCE) return { type: 'source', item: source };
+  }
+  for (const gap of state.gaps) {
+    const hit = closestPointOnBarrier(x, y, gap.barrier);
+    if (hit.distance <= HIT_TOLERANCE && Math.abs(hit.along - gap.offset) <= gap.width / 2) {
+      return { type: 'gap', item: gap };
+    }
+  }
+  for (const barrier of state.barriers) {
+    if (closestPointOnBarrier(x, y, barrier).distance <= HIT_TOLERANCE) {
+      return { type: 'barrier', item: barrier };
+    }
+  }
+  for (const probe of state.probes) {
+    if (Math.hypot(x - probe.x, y - probe.y) <= PROBE_RADIUS + 4) {
+      return { type: 'probe', item: probe };
+    }
+  }
+  const section = state.section;
+  if (section && closestPointOnSegment(x, y, section.x1, section.y1, section.x2, section.y2).distance <= HIT_TOLERANCE) {
+    return { type: 'section', item: section };
+  }
+  for (const listener of state.listeners) {
+    if (Math.hypot(x - listener.x, y - listener.y) <= LISTENER_RADIUS + 4) {
+      return { type: 'listener', item: listener };
+    }
+  }
+  const detector = state.detector;
+  if (detector && closestPointOnSegment(x, y, detector.x1, detector.y1, detector.x2, detector.y2).distance <= HIT_TOLERANCE) {
+    return { type: 'detector', item: detector };
+  }
+  for (let i = state.shallowRegions.length - 1; i >= 0; i--) {
+    if (pointInShallowRegion(x, y, state.shallowRegions[i])) {
+      return { type: 'shallow', item: state.shallowRegions[i] };
+    }
+  }
+  return null;
+}
+
+function selectObject(selection) {
+  state.selection = selection;
+  updateSelectionPanel();
+  updateSourceList();
+}
+
+// Objects defined by two end points rather than a centre
+function isSegmentObject(selection) {
+  return selection.type === 'barrier' || selection.type === 'detector' || selection.type === 'section';
+}
+
+// Selections whose edits change the medium
+function shapesMedium(selection) {
+  return selection.type === 'barrier' || selection.type === 'shallow' || selection.type === 'gap';
+}
+
+function moveObject(selection, dx, dy, x, y) {
+  const item = selection.item;
+  if (shapesMedium(selection)) markMediumChanged();
+  if (isSegmentObject(selection)) {
+    item.x1 += dx;
+    item.y1 += dy;
+    item.x2 += dx;
+    item.y2 += dy;
+    if (selection.type === 'detector') resetDetector();
+  } else if (['shallow', 'listener', 'source', 'probe'].includes(selection.type)) {
+    item.x += dx;
+    item.y += dy;
+    if (selection.type === 'listener') item.crossings = [];
+    if (selection.type === 'source') item.onEdge = false;
+    if (selection.type === 'source' && item.motion) {
+      // Carry the path of a moving source along with it
+      item.motion.x1 += dx;
+      item.motion.y1 += dy;
+      item.motion.x2 += dx;
+      item.motion.y2 += dy;
+    }
+  } else if (selection.type === 'gap') {
+    // Gaps slide along their barrier
+    const along = closestPointOnBarrier(x, y, item.barrier).along;
+    item.offset = clampGapOffset(item.barrier, along, item.width);
+  }
+}
+
+function clampGapOffset(barrier, offset, width) {
+  const length = barrierLength(barrier);
+  return Math.max(Math.min(width / 2, length / 2), Math.min(length - width / 2, offset));
+}
+
+function getObjectAngle(selection) {
+  const item = selection.item;
+  if (isSegmentObject(selection)) {
+    return Math.atan2(item.y2 - item.y1, item.x2 - item.x1);
+  }
+  return item.angle || 0;
+}
+
+function setObjectAngle(selection, angle) {
+  const item = selection.item;
+  if (shapesMedium(selection)) markMediumChanged();
+  if (isSegmentObject(selection)) {
+    // Rotate about the midpoint, keeping the length
+    const cx = (item.x1 + item.x2) / 2;
+    const cy = (item.y1 + item.y2) / 2;
+    const half = chordLength(item) / 2;
+    item.x1 = cx - half * Math.cos(angle);
+    item.y1 = cy - half * Math.sin(angle);
+    item.x2 = cx + half * Math.cos(angle);
+    item.y2 = cy + half * Math.sin(angle);
+    if (selection.type === 'detector') resetDetector();
+  } else if (selection.type === 'shallow' || selection.type === 'source') {
+    item.angle = angle;
+  }
+}
+
+function deleteObject(selection) {
+  const item = selection.item;
+  if (shapesMedium(selection)) markMediumChanged();
+  if (selection.type === 'barrier') {
+    state.barriers = state.barriers.filter(b => b !== item);
+    state.gaps = state.gaps.filter(g => g.barrier !== item);
+  } else if (selection.type === 'shallow') {
+    state.shallowRegions = state.shallowRegions.filter(r => r !== item);
+  } else if (selection.type === 'gap') {
+    state.gaps = state.gaps.filter(g => g !== item);
+  } else if (selection.type === 'detector') {
+    state.detector = null;
+    updateDetectorButton();
+  } else if (selection.type === 'listener') {
+    state.listeners = state.listeners.filter(l => l !== item);
+  } else if (selection.type === 'source') {
+    state.sources = state.sources.filter(s => s !== item);
+    updateCurrentMode();
+  } else if (selection.type === 'probe') {
+    state.probes = state.probes.filter(p => p !== item);
+    updateGraphPanel();
+  } else if (selection.type === 'section') {
+    state.section = null;
+    updateGraphPanel();
+  }
+  selectObject(null);
+}
+
+function cutGap(x, y) {
+  let best = null;
+  state.barriers.forEach(barrier => {
+    const hit = closestPointOnBarrier(x, y, barrier);
+    if (hit.distance <= HIT_TOLERANCE && (!best || hit.distance < best.hit.distance)) {
+      best = { barrier, hit };
+    }
+  });
+  if (!best) return;
+  const width = Math.min(DEFAULT_GAP_WIDTH, barrierLength(best.barrier));
+  const gap = {
+    barrier: best.barrier,
+    offset: clampGapOffset(best.barrier, best.hit.along, width),
+    width
+  };
+  state.gaps.push(gap);
+  markMediumChanged();
+  selectObject({ type: 'gap', item: gap });
+}
+
+canvas.addEventListener('pointerdown', (e) => {
+  const { x, y } = canvasPoint(e);
+  canvas.setPointerCapture(e.pointerId);
+
+  if (state.editTool === 'barrier') {
+    pointerAction = { kind: 'drawBarrier', startX: x, startY: y, x, y };
+  } else if (state.editTool === 'shallow') {
+    pointerAction = { kind: 'drawShallow', startX: x, startY: y, x, y };
+  } else if (state.editTool === 'gap') {
+    cutGap(x, y);
+  } else if (state.editTool === 'listener') {
+    selectObject({ type: 'listener', item: addListener(x, y) });
+  } else if (DEPTH_TOOLS.includes(state.editTool)) {
+    paintDepth(state.editTool, x, y);
+    pointerAction = { kind: 'paint', startX: x, startY: y, x, y };
+  } else if (state.editTool === 'probe') {
+    selectObject({ type: 'probe', item: addProbe(x, y) });
+  } else if (state.editTool === 'section') {
+    state.section = { x1: x, y1: y, x2: x, y2: y };
+    pointerAction = { kind: 'drawSection', startX: x, startY: y, x, y };
+    updateGraphPanel();
+  } else if (state.editTool === 'ruler') {
+    state.ruler = { x1: x, y1: y, x2: x, y2: y };
+    pointerAction = { kind: 'drawRuler', startX: x, startY: y, x, y };
+  } else {
+    const hit = hitTest(x, y);
+    selectObject(hit);
+    if (hit) pointerAction = { kind: 'move', selection: hit, x, y };
+  }
+});
+
+canvas.addEventListener('pointermove', (e) => {
+  const { x, y } = canvasPoint(e);
+  state.hover = { x, y };
+  if (!pointerAction) return;
+  if (pointerAction.kind === 'move') {
+    moveObject(pointerAction.selection, x - pointerAction.x, y - pointerAction.y, x, y);
+  } else if (pointerAction.kind === 'drawRuler') {
+    state.ruler.x2 = x;
+    state.ruler.y2 = y;
+  } else if (pointerAction.kind === 'drawSection') {
+    state.section.x2 = x;
+    state.section.y2 = y;
+  } else if (pointerAction.kind === 'paint') {
+    paintDepth(state.editTool, x, y);
+  }
+  pointerAction.x = x;
+  pointerAction.y = y;
+});
+
+canvas.addEventListener('pointerup', () => {
+  if (!pointerAction) return;
+  const { kind, startX, startY, x, y } = pointerAction;
+  pointerAction = null;
+
+  if (kind === 'drawRuler' && Math.hypot(x - startX, y - startY) < MIN_DRAW_SIZE) {
+    state.ruler = null;
+  }
+  if (kind === 'drawSection') {
+    if (Math.hypot(x - startX, y - startY) < MIN_DRAW_SIZE) state.section = null;
+    updateGraphPanel();
+  }
+
+  if (kind === 'drawBarrier' && Math.hypot(x - startX, y - startY) >= MIN_DRAW_SIZE) {
+    const barrier = { x1: startX, y1: startY, x2: x, y2: y, shape: 'line', sagitta: 0 };
+    state.barriers.push(barrier);
+    markMediumChanged();
+    selectObject({ type: 'barrier', item: barrier });
+  } else if (kind === 'drawShallow' && Math.abs(x - startX) >= MIN_DRAW_SIZE && Math.abs(y - startY) >= MIN_DRAW_SIZE) {
+    const region = {
+      x: Math.min(startX, x),
+      y: Math.min(startY, y),
+      width: Math.abs(x - startX),
+      height: Math.abs(y - startY),
+      angle: 0,
+      shape: 'rect',
+      depth: DEFAULT_SHALLOW_DEPTH
+    };
+    state.shallowRegions.push(region);
+    markMediumChanged();
+    selectObject({ type: 'shallow', item: region });
+  }
+});
+
+canvas.addEventListener('pointercancel', () => {
+  pointerAction = null;
+});
+
+canvas.addEventListener('pointerleave', () => {
+  state.hover = null;
+});
+
+window.addEventListener('keydown', (e) => {
+  if (!state.selection || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+  if (e.key === 'Delete' || e.key === 'Backspace') {
+    deleteObject(state.selection);
+    e.preventDefault();
+  }
+});
+
+function updateEditToolButtons() {
+  document.querySelectorAll('[data-tool]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tool === state.editTool);
+  });
+  canvas.style.cursor = state.editTool === 'select' ? 'default' : 'crosshair';
+}
+
+function updateSelectionPanel() {
+  const selection = state.selection;
+  const names = {
+    barrier: 'Barrier',
+    shallow: 'Shallow Region',
+    gap: 'Gap',
+    detector: 'Detector',
+    listener: 'Listener',
+    source: 'Source',
+    probe: 'Probe',
+    section: 'Cross-Section'
   };
-  state.pointSources = [{ x: canvas.width * 0.5, y: canvas.height * 0.5, time: state.time }];
+  document.getElementById('selectionPanel').style.display = selection ? 'block' : 'none';
+  if (!selection) return;
+
+  const isSource = selection.type === 'source';
+  document.getElementById('selectionName').textContent = isSource
+    ? 'Source S' + (state.sources.indexOf(selection.item) + 1)
+    : names[selection.type];
+  const canRotate = !['gap', 'listener', 'probe'].includes(selection.type) && (!isSource || selection.item.type === 'line');
+  document.getElementById('angleRow').style.display = canRotate ? 'flex' : 'none';
+  document.getElementById('gapWidthRow').style.display = selection.type === 'gap' ? 'flex' : 'none';
+  document.getElementById('sourceRows').style.display = isSource ? 'block' : 'none';
+  document.getElementById('sourceLengthRow').style.display = isSource && selection.item.type === 'line' ? 'flex' : 'none';
+  const hasShape = selection.type === 'barrier' || selection.type === 'shallow' || isSource;
+  document.getElementById('shapeRow').style.display = hasShape ? 'flex' : 'none';
+
+  const isCurved = selection.type === 'barrier' && (selection.item.shape || 'line') !== 'line';
+  document.getElementById('curveRow').style.display = isCurved ? 'flex' : 'none';
+  document.getElementById('regionDepthRow').style.display = selection.type === 'shallow' ? 'flex' : 'none';
+  if (selection.type === 'shallow') {
+    const percent = Math.round((selection.item.depth || DEFAULT_SHALLOW_DEPTH) * 100);
+    document.getElementById('regionDepthRange').value = percent;
+    document.getElementById('regionDepthVal').textContent = percent + '%';
+  }
+
+  if (hasShape) {
+    const shapes = { barrier: BARRIER_SHAPES, shallow: REGION_SHAPES, source: SOURCE_TYPES }[selection.type];
+    const shapeSelect = document.getElementById('shapeSelect');
+    shapeSelect.innerHTML = Object.keys(shapes)
+      .map(value => `<option value="${value}">${shapes[value]}</option>`)
+      .join('');
+    if (isSource) shapeSelect.value = selection.item.type;
+    else shapeSelect.value = selection.item.shape || (selection.type === 'barrier' ? 'line' : 'rect');
+  }
+  if (isSource) {
+    const source = selection.item;
+    let phase = Math.round(source.phase * 180 / Math.PI) % 360;
+    if (phase < 0) phase += 360;
+    document.getElementById('sourceFreqRange').value = source.frequency;
+    document.getElementById('sourceFreqVal').textContent = source.frequency.toFixed(1) + ' Hz';
+    document.getElementById('sourceAmpRange').value = source.amplitude;
+    document.getElementById('sourceAmpVal').textContent = Math.round(source.amplitude);
+    document.getElementById('sourcePhaseRange').value = phase;
+    document.getElementById('sourcePhaseVal').textContent = phase + '°';
+    document.getElementById('sourceLengthRange').value = source.length;
+    document.getElementById('sourceLengthVal').textContent = Math.round(source.length) + ' px';
+  }
+  if (isCurved) {
+    // Curvature is the bulge as a percentage of the chord length
+    const percent = Math.round((selection.item.sagitta / chordLength(selection.item)) * 100);
+    document.getElementById('curveRange').value = percent;
+    document.getElementById('curveVal').textContent = percent + '%';
+  }
+
+  if (selection.type === 'gap') {
+    document.getElementById('gapWidthRange').value = selection.item.width;
+    document.getElementById('gapWidthVal').textContent = Math.round(selection.item.width) + ' px';
+  } else if (canRotate) {
+    // Lines and rectangles look the same after a half turn, so show 0–180°
+    let degrees = Math.round(getObjectAngle(selection) * 180 / Math.PI) % 180;
+    if (degrees < 0) degrees += 180;
+    document.getElementById('angleRange').value = degrees;
+    document.getElementById('angleVal').textContent = degrees + '°';
+  }
 }
 
+document.querySelectorAll('[data-tool]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    state.editTool = btn.dataset.tool;
+    updateEditToolButtons();
+  });
+});
+
+document.getElementById('angleRange').addEventListener('input', (e) => {
+  if (!state.selection) return;
+  const degrees = parseFloat(e.target.value);
+  setObjectAngle(state.selection, degrees * Math.PI / 180);
+  document.getElementById('angleVal').textContent = degrees + '°';
+});
+
+document.getElementById('shapeSelect').addEventListener('change', (e) => {
+  const selection = state.selection;
+  if (selection && selection.type === 'source') {
+    selection.item.type = e.target.value;
+    updateSelectionPanel();
+    updateSourceList();
+    updateCurrentMode();
+    return;
+  }
+  if (!selection || (selection.type !== 'barrier' && selection.type !== 'shallow')) return;
+  selection.item.shape = e.target.value;
+  markMediumChanged();
+  if (selection.type === 'barrier') {
+    // Give a newly curved barrier a visible bulge, and pull its gaps back inside the new length
+    if (e.target.value === 'line') selection.item.sagitta = 0;
+    else if (!selection.item.sagitta) selection.item.sagitta = chordLength(selection.item) * 0.25;
+    state.gaps.forEach(gap => {
+      if (gap.barrier === selection.item) {
+        gap.offset = clampGapOffset(gap.barrier, gap.offset, gap.width);
+      }
+    });
+  }
+  updateSelectionPanel();
+});
+
+document.getElementById('curveRange').addEventListener('input', (e) => {
+  if (!state.selection || state.selection.type !== 'barrier') return;
+  const percent = parseFloat(e.target.value);
+  const barrier = state.selection.item;
+  barrier.sagitta = (percent / 100) * chordLength(barrier);
+  markMediumChanged();
+  state.gaps.forEach(gap => {
+    if (gap.barrier === barrier) {
+      gap.offset = clampGapOffset(gap.barrier, gap.offset, gap.width);
+    }
+  });
+  document.getElementById('curveVal').textContent = percent + '%';
+});
+
+document.getElementById('regionDepthRange').addEventListener('input', (e) => {
+  if (!state.selection || state.selection.type !== 'shallow') return;
+  const percent = parseFloat(e.target.value);
+  state.selection.item.depth = percent / 100;
+  markMediumChanged();
+  document.getElementById('regionDepthVal').textContent = percent + '%';
+});
+
+document.getElementById('gapWidthRange').addEventListener('input', (e) => {
+  if (!state.selection || state.selection.type !== 'gap') return;
+  const gap = state.selection.item;
+  gap.width = Math.min(parseFloat(e.target.value), barrierLength(gap.barrier));
+  gap.offset = clampGapOffset(gap.barrier, gap.offset, gap.width);
+  markMediumChanged();
+  document.getElementById('gapWidthVal').textContent = Math.round(gap.width) + ' px';
+});
+
+[
+  ['sourceFreqRange', 'frequency', 'sourceFreqVal', v => v.toFixed(1) + ' Hz'],
+  ['sourceAmpRange', 'amplitude', 'sourceAmpVal', v => String(v)],
+  ['sourcePhaseRange', 'phase', 'sourcePhaseVal', v => Math.round(v * 180 / Math.PI) + '°', v => v * Math.PI / 180],
+  ['sourceLengthRange', 'length', 'sourceLengthVal', v => Math.round(v) + ' px']
+].forEach(([inputId, key, labelId, format, convert = v => v]) => {
+  document.getElementById(inputId).addEventListener('input', (e) => {
+    if (!state.selection || state.selection.type !== 'source') return;
+    const source = state.selection.item;
+    const value = convert(parseFloat(e.target.value));
+    if (key === 'frequency') setSourceFrequency(source, value);
+    else source[key] = value;
+    document.getElementById(labelId).textContent = format(source[key]);
+    updateSourceList();
+  });
+});
+
+document.getElementById('deleteBtn').addEventListener('click', () => {
+  if (state.selection) deleteObject(state.selection);
+});
+
 // ============ UI Controls ============
+// Names the source arrangement when it matches one of the presets
+function sourceMode() {
+  const sources = state.sources;
+  if (sources.length === 1) return sources[0].type === 'line' ? 'plane' : 'point';
+  if (sources.length === 2 && sources.every(s => s.type === 'point')) return 'twoPoints';
+  return 'custom';
+}
+
 function updateModeButtons() {
-  document.getElementById('planeWaveBtn').classList.toggle('active', state.waveMode === 'plane');
-  document.getElementById('pointSourceBtn').classList.toggle('active', state.waveMode === 'point');
-  document.getElementById('twoSourcesBtn').classList.toggle('active', state.waveMode === 'twoPoints');
+  const mode = sourceMode();
+  document.getElementById('planeWaveBtn').classList.toggle('active', mode === 'plane');
+  document.getElementById('pointSourceBtn').classList.toggle('active', mode === 'point');
+  document.getElementById('twoSourcesBtn').classList.toggle('active', mode === 'twoPoints');
+  updateSourceList();
+  updateCurrentMode();
 }
 
-document.getElementById('planeWaveBtn').addEventListener('click', () => {
-  state.waveMode = 'plane';
-  state.pointSources = [{ x: canvas.width * 0.5, y: canvas.height * 0.5, time: state.time }];
+function updateSourceList() {
+  const list = document.getElementById('sourceList');
+  list.innerHTML = '';
+  state.sources.forEach((source, i) => {
+    const btn = document.createElement('button');
+    btn.textContent = `S${i + 1} ${SOURCE_TYPES[source.type]} · ${source.frequency.toFixed(1)} Hz`;
+    btn.classList.toggle('active', state.selection !== null && state.selection.item === source);
+    btn.addEventListener('click', () => selectObject({ type: 'source', item: source }));
+    list.appendChild(btn);
+  });
+}
+
+function addSource(type) {
+  const offset = (state.sources.length % 5) * 30;
+  const source = createSource(type, canvas.width * 0.4 + offset, canvas.height * 0.4 + offset, {
+    angle: Math.PI / 2
+  });
+  state.sources.push(source);
   updateModeButtons();
-  updateCurrentMode();
+  selectObject({ type: 'source', item: source });
+}
+
+function setSources(sources) {
+  state.demonstrations.phasedArray = false;
+  state.sources = sources;
+  waveField.clear();
+  selectObject(null);
+  updateModeButtons();
+}
+
+document.getElementById('planeWaveBtn').addEventListener('click', () => {
+  setSources([createPlaneSource()]);
 });
 
 document.getElementById('pointSourceBtn').addEventListener('click', () => {
-  state.waveMode = 'point';
-  state.pointSources = [{ x: canvas.width * 0.5, y: canvas.height * 0.5, time: state.time }];
-  updateModeButtons();
-  updateCurrentMode();
+  setSources([createSource('point', canvas.width * 0.5, canvas.height * 0.5)]);
 });
 
 document.getElementById('twoSourcesBtn').addEventListener('click', () => {
-  state.waveMode = 'twoPoints';
-  state.pointSources = [
-    { x: canvas.width * 0.4, y: canvas.height * 0.5, time: state.time },
-    { x: canvas.width * 0.6, y: canvas.height * 0.5, time: state.time }
-  ];
-  updateModeButtons();
-  updateCurrentMode();
+  setSources([
+    createSource('point', canvas.width * 0.4, canvas.height * 0.5),
+    createSource('point', canvas.width * 0.6, canvas.height * 0.5)
+  ]);
+});
+
+document.getElementById('addPointSourceBtn').addEventListener('click', () => addSource('point'));
+document.getElementById('addLineSourceBtn').addEventListener('click', () => addSource('line'));
+
+document.getElementById('arraySteerRange').addEventListener('input', (e) => {
+  state.arraySteer = parseFloat(e.target.value);
+  document.getElementById('arraySteerVal').textContent = state.arraySteer + '°';
+  steerPhasedArray();
 });
 
 document.getElementById('reflectionBtn').addEventListener('click', setupReflection);
 document.getElementById('refractionBtn').addEventListener('click', setupRefraction);
 document.getElementById('diffractionBtn').addEventListener('click', setupDiffraction);
 document.getElementById('interferenceBtn').addEventListener('click', setupInterference);
+document.getElementById('parabolicMirrorBtn').addEventListener('click', setupParabolicMirror);
+document.getElementById('lensBtn').addEventListener('click', setupLens);
+document.getElementById('dopplerBtn').addEventListener('click', setupDoppler);
+document.getElementById('phasedArrayBtn').addEventListener('click', setupPhasedArray);
+document.getElementById('beatsBtn').addEventListener('click', setupBeats);
+document.getElementById('antiphaseBtn').addEventListener('click', setupAntiphase);
+document.getElementById('slitsBtn').addEventListener('click', () => {
+  setupSlits();
+  updateDetectorButton();
+});
+
+function updateDetectorButton() {
+  document.getElementById('detectorBtn').classList.toggle('active', state.detector !== null);
+}
+
+document.getElementById('detectorBtn').addEventListener('click', () => {
+  if (state.detector) {
+    if (state.selection && state.selection.type === 'detector') selectObject(null);
+    state.detector = null;
+  } else {
+    placeDefaultDetector();
+  }
+  updateDetectorButton();
+});
+
+[
+  ['slitCountRange', 'count', 'slitCountVal', v => String(v)],
+  ['slitWidthRange', 'width', 'slitWidthVal', v => v + ' px'],
+  ['slitSpacingRange', 'spacing', 'slitSpacingVal', v => v + ' px']
+].forEach(([inputId, key, labelId, format]) => {
+  document.getElementById(inputId).addEventListener('input', (e) => {
+    state.grating[key] = parseFloat(e.target.value);
+    document.getElementById(labelId).textContent = format(state.grating[key]);
+    if (state.demonstrations.slits) buildSlits();
+  });
+});
 document.getElementById('clearBtn').addEventListener('click', clearAll);
 
+function updateEdgeButtons() {
+  Object.keys(state.edges).forEach(edge => {
+    const btn = document.getElementById(edge + 'EdgeBtn');
+    const absorbing = state.edges[edge] === 'absorb';
+    btn.classList.toggle('active', absorbing);
+    btn.textContent = edge.charAt(0).toUpperCase() + edge.slice(1) + ': ' + (absorbing ? 'Absorb' : 'Reflect');
+  });
+}
+
+Object.keys(state.edges).forEach(edge => {
+  document.getElementById(edge + 'EdgeBtn').addEventListener('click', () => {
+    state.edges[edge] = state.edges[edge] === 'absorb' ? 'reflect' : 'absorb';
+    markMediumChanged();
+    placeDippers();
+    updateEdgeButtons();
+  });
+});
+
+document.getElementById('nodalBtn').addEventListener('click', () => {
+  setNodalLines(!state.nodalLines);
+});
+
+document.getElementById('strobeBtn').addEventListener('click', () => {
+  setStrobeEnabled(!state.strobe.enabled);
+});
+
+document.getElementById('strobeRange').addEventListener('input', (e) => {
+  state.strobe.frequency = parseFloat(e.target.value);
+  state.strobe.nextFlash = Math.min(state.strobe.nextFlash, state.time + 1 / state.strobe.frequency);
+  document.getElementById('strobeVal').textContent = state.strobe.frequency.toFixed(2) + ' Hz';
+  updateStrobeReadout();
+});
+
+document.getElementById('strobeMatchBtn').addEventListener('click', () => {
+  state.strobe.frequency = state.frequency;
+  document.getElementById('strobeRange').value = state.frequency;
+  document.getElementById('strobeVal').textContent = state.strobe.frequency.toFixed(2) + ' Hz';
+  updateStrobeReadout();
+});
+
+document.getElementById('rulerCrestsRange').addEventListener('input', (e) => {
+  state.rulerCrests = parseInt(e.target.value, 10);
+  document.getElementById('rulerCrestsVal').textContent = state.rulerCrests;
+});
+
+document.getElementById('clearRulerBtn').addEventListener('click', () => {
+  state.ruler = null;
+});
+
+document.getElementById('sourceSpeedRange').addEventListener('input', (e) => {
+  setSourceSpeed(parseFloat(e.target.value));
+  document.getElementById('sourceSpeedVal').textContent = state.sourceSpeed + ' px/s';
+});
+
+document.getElementById('clearListenersBtn').addEventListener('click', () => {
+  if (state.selection && state.selection.type === 'listener') selectObject(null);
+  state.listeners = [];
+});
+
+document.getElementById('brushSizeRange').addEventListener('input', (e) => {
+  state.brush.size = parseFloat(e.target.value);
+  document.getElementById('brushSizeVal').textContent = state.brush.size + ' px';
+});
+
+document.getElementById('brushStrengthRange').addEventListener('input', (e) => {
+  state.brush.strength = parseFloat(e.target.value) / 100;
+  document.getElementById('brushStrengthVal').textContent = e.target.value + '%';
+});
+
+document.getElementById('flatDepthBtn').addEventListener('click', () => setDepthProfile(() => 1));
+document.getElementById('beachDepthBtn').addEventListener('click', setupSlopingBeach);
+document.getElementById('ridgeDepthBtn').addEventListener('click', setupUnderwaterRidge);
+
+document.getElementById('clearProbesBtn').addEventListener('click', () => {
+  if (state.selection && (state.selection.type === 'probe' || state.selection.type === 'section')) {
+    selectObject(null);
+  }
+  state.probes = [];
+  state.section = null;
+  updateGraphPanel();
+});
+
 document.getElementById('pauseBtn').addEventListener('click', () => {
   state.isPaused = !state.isPaused;
   document.getElementById('pauseBtn').textContent = state.isPaused ? 'Resume' : 'Pause';
 });
 
-// Sliders
+// Sliders. Frequency and amplitude are the defaults for new sources and
+// scale every existing source by the same factor, so differences between
+// sources survive; the selection panel sets one source at a time.
 document.getElementById('frequencyRange').addEventListener('input', (e) => {
+  const scale = parseFloat(e.target.value) / state.frequency;
   state.frequency = parseFloat(e.target.value);
+  state.sources.forEach(source => setSourceFrequency(source, source.frequency * scale));
   document.getElementById('frequencyVal').textContent = state.frequency.toFixed(1) + ' Hz';
+  steerPhasedArray();
+  updateStrobeReadout();
+  updateSelectionPanel();
+  updateSourceList();
 });
 
 document.getElementById('amplitudeRange').addEventListener('input', (e) => {
+  const scale = parseFloat(e.target.value) / state.amplitude;
   state.amplitude = parseFloat(e.target.value);
+  state.sources.forEach(source => { source.amplitude *= scale; });
   document.getElementById('amplitudeVal').textContent = state.amplitude;
+  updateSelectionPanel();
 });
 
 document.getElementById('speedRange').addEventListener('input', (e) => {
   state.waveSpeed = parseFloat(e.target.value);
+  markMediumChanged();
   document.getElementById('speedVal').textContent = state.waveSpeed + ' px/s';
+  steerPhasedArray();
 });
 
 function updateCurrentMode() {
@@ -440,31 +3280,91 @@ function updateCurrentMode() {
     'point': 'Point Source',
     'twoPoints': 'Two Point Sources'
   };
-  document.getElementById('currentMode').textContent = modeNames[state.waveMode] || 'Plane Waves';
+  document.getElementById('currentMode').textContent = modeNames[sourceMode()] || state.sources.length + ' Sources';
+}
+
+function updateFpsReadout(fps) {
+  const names = { webgl: 'WebGL', worker: 'worker', canvas: 'main thread' };
+  document.getElementById('fpsReadout').textContent =
+    `${Math.round(fps)} fps · ${names[renderBackend.name]}, ${waveField.cols}×${waveField.rows} cells`;
 }
 
+document.getElementById('viewSelect').addEventListener('change', (e) => {
+  setView(e.target.value);
+});
+
+document.getElementById('resolutionSelect').addEventListener('change', (e) => {
+  state.resolutionScale = parseFloat(e.target.value);
+  waveField = createWaveField();
+  markMediumChanged();
+  placeDippers();
+  strobeSnapshot = null;
+  state.listeners.forEach(listener => { listener.crossings = []; });
+  resetDetector();
+});
+
 // ============ Animation Loop ============
+const FPS_INTERVAL = 500; // ms between FPS readout updates
+let fpsFrames = 0;
+let fpsStart = performance.now();
+
 function animate() {
-  if (!state.isPaused) {
-    state.time += 0.016; // ~60fps
+  const dt = state.isPaused ? 0 : 0.016; // ~60fps
+  state.time += dt;
+
+  fpsFrames++;
+  const now = performance.now();
+  if (now - fpsStart >= FPS_INTERVAL) {
+    updateFpsReadout((fpsFrames * 1000) / (now - fpsStart));
+    fpsFrames = 0;
+    fpsStart = now;
   }
   
-  // Update wave field
-  generateWaves();
+  // Advance the wave field
+  generateWaves(dt);
+  updateSourcePositions();
+  updateDetector(dt);
+  sampleProbes(dt);
   
-  // Clear and redraw
-  ctx.fillStyle = '#e8e8e8';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  
-  drawWaveField();
-  drawShallowRegions();
-  drawBarriers();
-  drawPointSources();
+  const strobing = state.strobe.enabled && strobeSnapshot && strobeSnapshot.length === waveField.cols * waveField.rows;
+  if (state.view === '3d') {
+    // The 2D canvas and its overlays are hidden behind the surface
+    updateSurfaceView(strobing ? strobeSnapshot : null);
+  } else {
+    // Clear and redraw
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawWaveField(strobing ? strobeSnapshot : null);
+    drawDepthMap();
+    drawBeaches();
+    drawShallowRegions();
+    drawBarriers();
+    drawGaps();
+    drawNodalLines();
+    drawSources();
+    drawListeners();
+    drawDetector();
+    drawProbes();
+    drawRuler();
+    drawEditOverlay();
+    drawBrush();
+    drawPathDifference();
+  }
+  updateFringeReadout();
+  updateRulerReadout();
+  updateDopplerReadout();
+  drawGraphPanel();
   
   requestAnimationFrame(animate);
 }
 
 // Initialize
-updateCurrentMode();
+state.depthMap = createDepthMap(canvas.width, canvas.height);
+state.sources = [createPlaneSource()];
+updateModeButtons();
+updateEdgeButtons();
+updateEditToolButtons();
+updateSelectionPanel();
+updateStrobeReadout();
+updateGraphPanel();
 animate();
 